@@ -11,7 +11,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import ora from 'ora';
 import pc from 'picocolors';
-import { ATSVGConverter } from '../lib/index.js';
+import { ATSVGConverter, parsePalette } from '../lib/index.js';
 
 const VERSION = '1.0.0';
 
@@ -37,17 +37,44 @@ program
     .alias('c')
     .description('Convert file(s) to SVG')
     .option('-o, --output <path>', 'Output directory or file path', '.')
-    .option('-m, --mode <mode>', 'Conversion mode: embed, trace', 'embed')
+    .option('-m, --mode <mode>', 'Conversion mode: embed, trace, auto, hybrid', 'embed')
+    .option('--auto', 'Trace with automatically tuned colors, blur, simplification and denoise (same as -m auto)', false)
     .option('-q, --quality <number>', 'JPEG quality (1-100)', '92')
     .option('-s, --scale <number>', 'Scale percentage (1-500)', '100')
     .option('-c, --colors <number>', 'Number of colors for tracing (2-256)', '16')
-    .option('-t, --trace-mode <mode>', 'Trace mode: color, grayscale, monochrome, posterize', 'color')
+    .option('-t, --trace-mode <mode>', 'Trace mode: color, grayscale, monochrome, posterize, pixelart', 'color')
+    .option('--trace-style <style>', 'Trace output style: contour, pixel', 'contour')
+    .option('--quantizer <name>', 'Color quantizer: median-cut, kmeans, octree', 'median-cut')
+    .option('--quant-cycles <number>', 'K-means refinement cycles', '3')
+    .option('--color-distance <metric>', 'Color matching: rgb, weighted-rgb, lab76, ciede2000', 'rgb')
+    .option('--palette <colors>', 'Fixed palette of hex colors, e.g. "#112233,#ffcc00"')
+    .option('--palette-file <path>', 'Fixed palette file (JSON or GIMP .gpl)')
+    .option('--posterize-levels <number>', 'Levels per channel for posterize (2-16)', '4')
+    .option('--posterize-luminance', 'Posterize brightness bands only, keeping their average colors', false)
     .option('--transparent', 'Enable transparent background', false)
     .option('--remove-white', 'Remove white background', false)
     .option('--white-tolerance <number>', 'White background removal tolerance (0-255)', '20')
+    .option('--remove-bg <color>', 'Remove the background connected to the edges: auto, or a hex key color')
+    .option('--bg-tolerance <number>', 'Background removal tolerance per channel (0-255)', '20')
+    .option('--denoise <filter>', 'Edge-preserving denoise before tracing: none, median, bilateral', 'none')
+    .option('--denoise-radius <px>', 'Denoise window radius in pixels', '1')
     .option('--blur <number>', 'Blur radius for tracing (0-5)', '0')
     .option('--simplify <number>', 'Path simplification (0.1-10)', '1')
-    .option('--threshold <number>', 'Threshold for monochrome (0-255)', '128')
+    .option('--precision <digits>', 'Decimal places of traced path coordinates', '1')
+    .option('--max-size <size>', 'Search trace settings for an SVG of at most this size, e.g. 20kb')
+    .option('--min-ssim <n>', 'Search trace settings for the smallest SVG with at least this SSIM (0-1)')
+    .option('--layering <mode>', 'Layering: cutout, stacked (each layer also covers the layers above it)', 'cutout')
+    .option('--layer-order <order>', 'Stacked layer order, bottom first: area, luminance', 'area')
+    .option('--gradients', 'Fill smooth color ramps with linear or radial gradients', false)
+    .option('--gradient-tolerance <number>', 'Largest RMS color error of a gradient fill', '6')
+    .option('--pixel-grid', 'Draw a 1px grid along the pixels of pixel art', false)
+    .option('--alpha-cutoff <n>', 'Alpha below which pixels are transparent when tracing (0-255)', '128')
+    .option('--despeckle <px>', 'Merge regions smaller than this many pixels into their surroundings', '0')
+    .option('--curves <number>', 'Bezier curve fitting tolerance in pixels, 0 for straight lines', '1')
+    .option('--curve-type <type>', 'Curve type: cubic, quadratic', 'cubic')
+    .option('--threshold <number>', 'Threshold for monochrome (0-255), or auto for Otsu\'s method', '128')
+    .option('--threshold-method <method>', 'Monochrome threshold: fixed, otsu, adaptive-mean, sauvola')
+    .option('--threshold-window <px>', 'Window side for adaptive-mean and sauvola thresholds', '31')
     .option('-w, --width <number>', 'Output width in pixels')
     .option('-h, --height <number>', 'Output height in pixels')
     .option('--no-aspect', 'Do not maintain aspect ratio when resizing')
@@ -55,11 +82,20 @@ program
     .option('--pdf-page <number>', 'PDF page to convert (default: 1)', '1')
     .option('--pdf-all', 'Convert all PDF pages', false)
     .option('--pdf-scale <number>', 'PDF rendering scale (0.5-4)', '2')
+    .option('--workers <n>', 'Worker threads for tracing and PDF pages (0: main thread only)', '0')
+    .option('--memory-limit <mb>', 'Trace images too large for this many MB in tiles (0: no limit)', '0')
+    .option('--tile-size <px>', 'Trace in square tiles of this size (0: from --memory-limit)', '0')
     .option('-f, --format <format>', 'Embedded image format: png, jpeg, webp', 'png')
+    .option('--hybrid-threshold <bits>', 'Color entropy at which hybrid mode embeds an area as a photo', '4')
+    .option('--metrics', 'Print PSNR, SSIM and color difference of each SVG against its image', false)
     .option('--overwrite', 'Overwrite existing files', false)
     .option('--silent', 'Suppress output messages', false)
     .option('--dry-run', 'Show what would be converted without actually converting', false)
-    .action(async (inputs, opts) => {
+    .action(async (inputs, opts, command) => {
+        // A size or fidelity target means tracing unless -m says otherwise
+        if ((opts.maxSize || opts.minSsim) && command.getOptionValueSource('mode') === 'default') {
+            opts.mode = 'trace';
+        }
         await convertFiles(inputs, opts);
     });
 
@@ -69,13 +105,14 @@ program
     .alias('b')
     .description('Batch convert files matching a glob pattern')
     .option('-o, --output <path>', 'Output directory', '.')
-    .option('-m, --mode <mode>', 'Conversion mode: embed, trace', 'embed')
+    .option('-m, --mode <mode>', 'Conversion mode: embed, trace, auto, hybrid', 'embed')
     .option('-q, --quality <number>', 'JPEG quality (1-100)', '92')
     .option('-s, --scale <number>', 'Scale percentage (1-500)', '100')
     .option('-c, --colors <number>', 'Number of colors for tracing (2-256)', '16')
-    .option('-t, --trace-mode <mode>', 'Trace mode: color, grayscale, monochrome, posterize', 'color')
+    .option('-t, --trace-mode <mode>', 'Trace mode: color, grayscale, monochrome, posterize, pixelart', 'color')
     .option('--transparent', 'Enable transparent background', false)
     .option('--remove-white', 'Remove white background', false)
+    .option('--remove-bg <color>', 'Remove the background connected to the edges: auto, or a hex key color')
     .option('--recursive', 'Search directories recursively', false)
     .option('--overwrite', 'Overwrite existing files', false)
     .option('--silent', 'Suppress output messages', false)
@@ -110,25 +147,85 @@ program
         
         console.log(pc.bold('Conversion Modes:\n'));
         console.log(pc.cyan('  embed') + '     - Embeds the image as base64 in the SVG (default)');
-        console.log(pc.cyan('  trace') + '     - Traces the image to create true vector paths\n');
+        console.log(pc.cyan('  trace') + '     - Traces the image to create true vector paths');
+        console.log(pc.cyan('  auto') + '      - Traces with settings tuned to the image (--auto)');
+        console.log(pc.cyan('  hybrid') + '    - Traces flat areas and embeds photos as JPEG or WebP tiles\n');
         
         console.log(pc.bold('Trace Modes:\n'));
         console.log(pc.cyan('  color') + '     - Full color tracing');
         console.log(pc.cyan('  grayscale') + ' - Grayscale tracing');
         console.log(pc.cyan('  monochrome') + '- Black and white tracing');
-        console.log(pc.cyan('  posterize') + ' - Limited color palette\n');
+        console.log(pc.cyan('  posterize') + ' - Fixed levels per channel (--posterize-levels, --posterize-luminance)');
+        console.log(pc.cyan('  pixelart') + '  - Exact colors, square pixels, whole-pixel scaling (--pixel-grid)\n');
+        
+        console.log(pc.bold('Trace Styles:\n'));
+        console.log(pc.cyan('  contour') + '   - Closed outlines per color region, holes included (default)');
+        console.log(pc.cyan('  pixel') + '     - Run-length rectangles that reproduce every pixel\n');
         
         console.log(pc.bold('Examples:\n'));
         console.log(pc.dim('  # Convert a single file'));
         console.log('  $ atsvg convert image.png -o output.svg\n');
         console.log(pc.dim('  # Convert with tracing'));
         console.log('  $ atsvg convert image.png -m trace -c 8\n');
+        console.log(pc.dim('  # Trace with settings tuned to the image'));
+        console.log('  $ atsvg convert logo.jpg --auto\n');
+        console.log(pc.dim('  # Trace a sprite at 4x with its exact colors'));
+        console.log('  $ atsvg convert sprite.png -m trace -t pixelart -s 400\n');
+        console.log(pc.dim('  # Trace an unevenly lit signature scan in black and white'));
+        console.log('  $ atsvg convert signature.jpg -m trace -t monochrome --threshold-method sauvola\n');
+        console.log(pc.dim('  # Trace a graphic but keep its photos as WebP'));
+        console.log('  $ atsvg convert banner.jpg -m hybrid -f webp\n');
+        console.log(pc.dim('  # Trace the most faithful SVG under 20 KB'));
+        console.log('  $ atsvg convert logo.png --max-size 20kb\n');
+        console.log(pc.dim('  # Trace the smallest SVG with an SSIM of at least 0.95'));
+        console.log('  $ atsvg convert logo.png --min-ssim 0.95\n');
+        console.log(pc.dim('  # Trace with a fixed brand palette'));
+        console.log('  $ atsvg convert logo.png -m trace --palette "#112233,#ffcc00,#ffffff"\n');
         console.log(pc.dim('  # Batch convert all PNGs'));
         console.log('  $ atsvg batch "*.png" -o ./svg-output\n');
         console.log(pc.dim('  # Convert PDF (all pages)'));
         console.log('  $ atsvg convert document.pdf --pdf-all -o ./pages\n');
+        console.log(pc.dim('  # Score a traced SVG and write a difference heatmap'));
+        console.log('  $ atsvg compare logo.png logo.svg --diff logo-diff.png\n');
         console.log(pc.dim('  # Remove white background'));
         console.log('  $ atsvg convert logo.png --remove-white --transparent\n');
+        console.log(pc.dim('  # Remove a detected background, keeping white inside the artwork'));
+        console.log('  $ atsvg convert sticker.jpg --remove-bg auto --bg-tolerance 30\n');
+    });
+
+// Compare command
+program
+    .command('compare <original> <svg>')
+    .description('Score how faithfully an SVG reproduces an image (PSNR, SSIM, color difference)')
+    .option('--diff <path>', 'Write a heatmap PNG of the per-pixel color difference')
+    .action(async (original, svgPath, opts) => {
+        const spinner = ora('Comparing...').start();
+        
+        try {
+            const converter = new ATSVGConverter();
+            const image = await fs.readFile(path.resolve(original));
+            const svg = await fs.readFile(path.resolve(svgPath), 'utf-8');
+            const metrics = await converter.compare(image, svg, { heatmap: Boolean(opts.diff) });
+            
+            const { psnr, ssim, deltaE } = formatMetrics(metrics);
+            spinner.stop();
+            console.log(pc.bold('\nFidelity:\n'));
+            console.log(pc.cyan('  PSNR:       ') + psnr);
+            console.log(pc.cyan('  SSIM:       ') + ssim);
+            console.log(pc.cyan('  ΔE2000:     ') + deltaE);
+            
+            if (opts.diff) {
+                const diffPath = path.resolve(opts.diff);
+                await fs.mkdir(path.dirname(diffPath), { recursive: true });
+                await fs.writeFile(diffPath, metrics.heatmap);
+                console.log(pc.cyan('  Heatmap:    ') + diffPath);
+            }
+            
+            console.log('');
+        } catch (error) {
+            spinner.fail(pc.red('Comparison failed: ' + error.message));
+            process.exit(1);
+        }
     });
 
 // Analyze command
@@ -196,17 +293,42 @@ async function convertFiles(inputs, opts) {
     
     // Parse options
     const options = {
-        conversionMode: opts.mode || 'embed',
+        conversionMode: opts.auto ? 'auto' : opts.mode || 'embed',
         jpegQuality: parseInt(opts.quality) || 92,
         scale: parseInt(opts.scale) || 100,
         colorCount: parseInt(opts.colors) || 16,
         traceMode: opts.traceMode || 'color',
+        traceStyle: opts.traceStyle || 'contour',
+        quantizer: opts.quantizer || 'median-cut',
+        colorQuantCycles: parseInt(opts.quantCycles) || 3,
+        colorDistance: opts.colorDistance || 'rgb',
+        posterizeLevels: parseInt(opts.posterizeLevels) || 4,
+        posterizeLuminance: opts.posterizeLuminance || false,
         transparentBg: opts.transparent || false,
         removeWhiteBg: opts.removeWhite || false,
         whiteToleranceValue: parseInt(opts.whiteTolerance) || 20,
+        removeBg: opts.removeBg || false,
+        bgTolerance: opts.bgTolerance !== undefined ? parseInt(opts.bgTolerance) || 0 : 20,
+        denoise: opts.denoise || 'none',
+        denoiseRadius: parseInt(opts.denoiseRadius) || 1,
         blurRadius: parseFloat(opts.blur) || 0,
         pathSimplify: parseFloat(opts.simplify) || 1,
+        coordinatePrecision: opts.precision !== undefined ? parseInt(opts.precision) || 0 : 1,
+        maxBytes: opts.maxSize ? parseSize(opts.maxSize) : 0,
+        minFidelity: parseFloat(opts.minSsim) || 0,
+        despeckle: parseInt(opts.despeckle) || 0,
+        layering: opts.layering || 'cutout',
+        layerOrder: opts.layerOrder || 'area',
+        gradients: opts.gradients || false,
+        pixelGrid: opts.pixelGrid || false,
+        gradientTolerance: parseFloat(opts.gradientTolerance) || 6,
+        alphaCutoff: opts.alphaCutoff !== undefined ? parseInt(opts.alphaCutoff) || 0 : 128,
+        hybridThreshold: parseFloat(opts.hybridThreshold) || 4,
+        curveTolerance: opts.curves !== undefined ? parseFloat(opts.curves) || 0 : 1,
+        curveType: opts.curveType || 'cubic',
         threshold: parseInt(opts.threshold) || 128,
+        thresholdMethod: opts.thresholdMethod || (opts.threshold === 'auto' ? 'otsu' : 'fixed'),
+        thresholdWindow: parseInt(opts.thresholdWindow) || 31,
         outputWidth: opts.width ? parseInt(opts.width) : null,
         outputHeight: opts.height ? parseInt(opts.height) : null,
         maintainAspect: opts.aspect !== false,
@@ -214,9 +336,35 @@ async function convertFiles(inputs, opts) {
         imageFormat: opts.format || 'png',
         pdfPage: parseInt(opts.pdfPage) || 1,
         pdfScale: parseFloat(opts.pdfScale) || 2,
-        allPages: opts.pdfAll || false
+        allPages: opts.pdfAll || false,
+        workers: parseInt(opts.workers) || 0,
+        memoryLimit: parseFloat(opts.memoryLimit) || 0,
+        tileSize: parseInt(opts.tileSize) || 0,
+        metrics: opts.metrics || false
     };
 
+    if (Number.isNaN(options.maxBytes)) {
+        console.error(pc.red(`Invalid --max-size: ${opts.maxSize}. Use bytes or a size such as 20kb or 1.5mb.`));
+        process.exit(1);
+    }
+    if ((options.maxBytes > 0 || options.minFidelity > 0) && !['trace', 'auto'].includes(options.conversionMode)) {
+        console.error(pc.red(`--max-size and --min-ssim need -m trace or -m auto, not -m ${options.conversionMode}.`));
+        process.exit(1);
+    }
+
+    // Load the fixed palette once, before converting anything
+    if (opts.palette || opts.paletteFile) {
+        try {
+            const source = opts.paletteFile
+                ? await fs.readFile(path.resolve(opts.paletteFile), 'utf-8')
+                : opts.palette;
+            options.palette = parsePalette(source);
+        } catch (error) {
+            console.error(pc.red('Invalid palette: ' + error.message));
+            process.exit(1);
+        }
+    }
+
     if (!opts.silent) {
         console.log(banner);
         console.log(pc.cyan(`Converting ${inputs.length} file(s)...\n`));
@@ -298,6 +446,16 @@ async function convertFiles(inputs, opts) {
                     spinner.succeed(
                         `Converted ${pc.cyan(path.basename(input))} → ${pc.green(path.basename(outputPath))}${pc.dim(savedBytes)}`
                     );
+                    if (result.autoSettings) {
+                        console.log(pc.dim('  Auto settings: ' + formatAutoSettings(result.autoSettings)));
+                    }
+                    if (result.searchSettings) {
+                        console.log(pc.dim('  Search settings: ' + formatSearchSettings(result.searchSettings)));
+                    }
+                    if (result.metrics) {
+                        const { psnr, ssim, deltaE } = formatMetrics(result.metrics);
+                        console.log(pc.dim(`  PSNR ${psnr}, SSIM ${ssim}, ΔE2000 ${deltaE}`));
+                    }
                 }
             }
             
@@ -310,6 +468,8 @@ async function convertFiles(inputs, opts) {
         }
     }
 
+    await converter.close();
+
     if (!opts.silent && inputs.length > 1) {
         console.log('');
         console.log(pc.bold('Summary:'));
@@ -324,6 +484,42 @@ async function convertFiles(inputs, opts) {
     }
 }
 
+// Chosen auto settings as the flags that reproduce them with -m trace
+function formatAutoSettings(settings) {
+    return [
+        `-c ${settings.colorCount}`,
+        `--blur ${settings.blurRadius}`,
+        `--simplify ${settings.pathSimplify}`,
+        `--denoise ${settings.denoise}`
+    ].join(' ');
+}
+
+// Settings found by --max-size / --min-ssim as the flags that reproduce them
+function formatSearchSettings(settings) {
+    return [
+        `-c ${settings.colorCount}`,
+        `--simplify ${settings.pathSimplify}`,
+        `--precision ${settings.coordinatePrecision}`
+    ].join(' ');
+}
+
+// Fidelity metrics as display strings
+function formatMetrics({ psnr, ssim, deltaE }) {
+    return {
+        psnr: psnr === Infinity ? '∞ (identical)' : psnr.toFixed(2) + ' dB',
+        ssim: ssim.toFixed(4),
+        deltaE: `mean ${deltaE.mean.toFixed(2)}, 95th percentile ${deltaE.p95.toFixed(2)}, max ${deltaE.max.toFixed(2)}`
+    };
+}
+
+// Parse a size such as 20kb, 1.5mb or 4096 (bytes) into bytes
+function parseSize(size) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(String(size).trim());
+    if (!match) return NaN;
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
 // Utility function for formatting bytes
 function formatBytes(bytes) {
     if (bytes === 0) return '0 B';
@@ -34,6 +34,7 @@ class ATSVGApp {
             progressArea: document.getElementById('progressArea'),
             progressFill: document.getElementById('progressFill'),
             progressText: document.getElementById('progressText'),
+            cancelBtn: document.getElementById('cancelBtn'),
             
             // Info
             originalSize: document.getElementById('originalSize'),
@@ -47,6 +48,7 @@ class ATSVGApp {
             downloadAllBtn: document.getElementById('downloadAllBtn'),
             convertAllBtn: document.getElementById('convertAllBtn'),
             clearBatchBtn: document.getElementById('clearBatchBtn'),
+            autoTuneBtn: document.getElementById('autoTuneBtn'),
             
             // Settings
             traceOptions: document.getElementById('traceOptions'),
@@ -55,7 +57,10 @@ class ATSVGApp {
             bgColorRow: document.getElementById('bgColorRow'),
             sizeInputs: document.getElementById('sizeInputs'),
             whiteTolerance: document.getElementById('whiteTolerance'),
+            bgKeyColorRow: document.getElementById('bgKeyColorRow'),
+            bgToleranceRow: document.getElementById('bgToleranceRow'),
             jpegQualityRow: document.getElementById('jpegQualityRow'),
+            hybridThresholdRow: document.getElementById('hybridThresholdRow'),
         };
     }
 
@@ -116,15 +121,19 @@ class ATSVGApp {
         this.elements.downloadAllBtn.addEventListener('click', () => this.downloadAllSVGs());
         this.elements.convertAllBtn.addEventListener('click', () => this.convertBatch());
         this.elements.clearBatchBtn.addEventListener('click', () => this.clearBatch());
+        this.elements.cancelBtn.addEventListener('click', () => this.cancelConversion());
+        this.elements.autoTuneBtn.addEventListener('click', () => this.autoTune());
     }
 
     setupSettingsListeners() {
         // Conversion mode toggle
         document.querySelectorAll('input[name="conversionMode"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
-                const isTrace = e.target.value === 'trace';
-                this.elements.traceOptions.style.display = isTrace ? 'block' : 'none';
-                this.elements.embedOptions.style.display = isTrace ? 'none' : 'block';
+                // Hybrid mode both traces and embeds
+                const mode = e.target.value;
+                this.elements.traceOptions.style.display = mode === 'embed' ? 'none' : 'block';
+                this.elements.embedOptions.style.display = mode === 'trace' ? 'none' : 'block';
+                this.elements.hybridThresholdRow.style.display = mode === 'hybrid' ? 'block' : 'none';
                 this.updatePreview();
             });
         });
@@ -133,12 +142,21 @@ class ATSVGApp {
         const sliders = [
             { id: 'colorCount', display: 'colorCountValue' },
             { id: 'threshold', display: 'thresholdValue' },
+            { id: 'thresholdWindow', display: 'thresholdWindowValue' },
+            { id: 'denoiseRadius', display: 'denoiseRadiusValue' },
             { id: 'blurRadius', display: 'blurRadiusValue' },
+            { id: 'despeckle', display: 'despeckleValue' },
+            { id: 'alphaCutoff', display: 'alphaCutoffValue' },
             { id: 'pathSimplify', display: 'pathSimplifyValue' },
+            { id: 'curveTolerance', display: 'curveToleranceValue' },
+            { id: 'posterizeLevels', display: 'posterizeLevelsValue' },
+            { id: 'colorQuantCycles', display: 'colorQuantCyclesValue' },
             { id: 'scale', display: 'scaleValue' },
             { id: 'jpegQuality', display: 'jpegQualityValue' },
+            { id: 'hybridThreshold', display: 'hybridThresholdValue' },
             { id: 'pdfScale', display: 'pdfScaleValue' },
             { id: 'whiteToleranceValue', display: 'whiteToleranceDisplay' },
+            { id: 'bgTolerance', display: 'bgToleranceValue' },
         ];
 
         sliders.forEach(({ id, display }) => {
@@ -169,6 +187,13 @@ class ATSVGApp {
             this.debouncePreview();
         });
 
+        // Edge background removal mode
+        document.getElementById('removeBgMode').addEventListener('change', (e) => {
+            this.elements.bgKeyColorRow.style.display = e.target.value === 'key' ? 'block' : 'none';
+            this.elements.bgToleranceRow.style.display = e.target.value === 'none' ? 'none' : 'block';
+            this.debouncePreview();
+        });
+
         // Image format toggle
         document.getElementById('imageFormat').addEventListener('change', (e) => {
             this.elements.jpegQualityRow.style.display = 
@@ -176,6 +201,19 @@ class ATSVGApp {
             this.debouncePreview();
         });
 
+        // Palette file fills the palette field with its colors
+        document.getElementById('paletteFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                const colors = ATSVGTracer.parsePalette(await file.text());
+                document.getElementById('palette').value = colors.map(c => c.hex).join(', ');
+                this.debouncePreview();
+            } catch (error) {
+                this.showToast('Invalid palette file: ' + error.message, 'error');
+            }
+        });
+
         // All setting changes trigger preview update
         document.querySelectorAll('.setting-group input, .setting-group select').forEach(el => {
             el.addEventListener('change', () => this.debouncePreview());
@@ -212,7 +250,11 @@ class ATSVGApp {
             
             // Convert
             this.showProgress('Converting to SVG...');
-            const result = await this.converter.convert(file, this.getSettings());
+            this.converter.cancel();
+            const result = await this.converter.convert(file, {
+                ...this.getSettings(),
+                onProgress: (progress) => this.showTraceProgress('Converting to SVG', progress)
+            });
             
             // Handle array result (multiple pages)
             if (Array.isArray(result)) {
@@ -242,11 +284,67 @@ class ATSVGApp {
                 
         } catch (error) {
             this.hideProgress();
+            
+            // A cancelled job was stopped on purpose
+            if (error.name === 'AbortError') return;
+            
             this.showToast(error.message, 'error');
             console.error('Conversion error:', error);
         }
     }
 
+    async autoTune() {
+        if (!this.currentFile || this.converter.getFileType(this.currentFile) !== 'image') {
+            this.showToast('Open an image to tune trace settings for', 'error');
+            return;
+        }
+        
+        this.showProgress('Finding trace settings...');
+        
+        try {
+            this.converter.cancel();
+            const result = await this.converter.convert(this.currentFile, {
+                ...this.getSettings(),
+                conversionMode: 'auto'
+            });
+            
+            this.applyAutoSettings(result.autoSettings);
+            this.currentSVG = result.svg;
+            if (this.getSettings().optimizeSvg) {
+                this.currentSVG = this.converter.optimizeSVG(this.currentSVG);
+            }
+            this.showConvertedPreview(result);
+            
+            this.hideProgress();
+            this.elements.previewArea.style.display = 'block';
+            
+            const { colorCount, blurRadius, pathSimplify, denoise } = result.autoSettings;
+            this.showToast(`Auto: ${colorCount} colors, blur ${blurRadius}, simplify ${pathSimplify}, denoise ${denoise}`, 'success');
+        } catch (error) {
+            this.hideProgress();
+            if (error.name === 'AbortError') return;
+            
+            this.showToast(error.message, 'error');
+            console.error('Auto tune error:', error);
+        }
+    }
+
+    applyAutoSettings(settings) {
+        // Switch to trace mode with the tuned settings, so they can be
+        // tweaked and reused. Values are set directly to skip another preview.
+        document.querySelector('input[name="conversionMode"][value="trace"]').checked = true;
+        this.elements.traceOptions.style.display = 'block';
+        this.elements.embedOptions.style.display = 'none';
+        
+        for (const [id, value] of Object.entries(settings)) {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+            
+            const display = document.getElementById(id + 'Value');
+            if (display) display.textContent = value;
+        }
+    }
+
     async showOriginalPreview(file) {
         return new Promise((resolve, reject) => {
             if (file.type.startsWith('image/') || file.name.match(/\.(png|jpg|jpeg|webp|gif|bmp|tiff?)$/i)) {
@@ -284,6 +382,8 @@ class ATSVGApp {
         if (!this.currentFile) return;
         
         try {
+            // Only the latest settings matter; drop a preview still tracing
+            this.converter.cancel();
             const result = await this.converter.convert(this.currentFile, this.getSettings());
             
             if (Array.isArray(result)) {
@@ -300,11 +400,16 @@ class ATSVGApp {
                 this.showConvertedPreview(result);
             }
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Preview update error:', error);
         }
     }
 
     getSettings() {
+        // The library takes 'auto' or the key color itself
+        const removeBgMode = document.getElementById('removeBgMode')?.value || 'none';
+        const bgKeyColor = document.getElementById('bgKeyColor')?.value || '#00ff00';
+        
         return {
             // Conversion mode
             conversionMode: document.querySelector('input[name="conversionMode"]:checked')?.value || 'embed',
@@ -313,14 +418,36 @@ class ATSVGApp {
             traceMode: document.getElementById('traceMode')?.value || 'color',
             colorCount: parseInt(document.getElementById('colorCount')?.value || 16),
             threshold: parseInt(document.getElementById('threshold')?.value || 128),
+            thresholdMethod: document.getElementById('thresholdMethod')?.value || 'fixed',
+            thresholdWindow: parseInt(document.getElementById('thresholdWindow')?.value || 31),
+            denoise: document.getElementById('denoise')?.value || 'none',
+            denoiseRadius: parseInt(document.getElementById('denoiseRadius')?.value || 1),
             blurRadius: parseInt(document.getElementById('blurRadius')?.value || 0),
+            despeckle: parseInt(document.getElementById('despeckle')?.value || 0),
+            alphaCutoff: parseInt(document.getElementById('alphaCutoff')?.value ?? 128),
+            layering: document.getElementById('layering')?.value || 'cutout',
+            layerOrder: document.getElementById('layerOrder')?.value || 'area',
+            gradients: document.getElementById('gradients')?.checked ?? false,
+            pixelGrid: document.getElementById('pixelGrid')?.checked ?? false,
             pathSimplify: parseFloat(document.getElementById('pathSimplify')?.value || 1),
+            curveTolerance: parseFloat(document.getElementById('curveTolerance')?.value ?? 1),
+            curveType: document.getElementById('curveType')?.value || 'cubic',
+            quantizer: document.getElementById('quantizer')?.value || 'median-cut',
+            colorQuantCycles: parseInt(document.getElementById('colorQuantCycles')?.value || 3),
+            colorDistance: document.getElementById('colorDistance')?.value || 'rgb',
+            palette: document.getElementById('palette')?.value.trim() || null,
+            posterizeLevels: parseInt(document.getElementById('posterizeLevels')?.value || 4),
+            posterizeLuminance: document.getElementById('posterizeLuminance')?.checked ?? false,
             
             // Background
             transparentBg: document.getElementById('transparentBg')?.checked ?? true,
             bgColor: document.getElementById('bgColor')?.value || '#ffffff',
             removeWhiteBg: document.getElementById('removeWhiteBg')?.checked ?? false,
             whiteToleranceValue: parseInt(document.getElementById('whiteToleranceValue')?.value || 20),
+            removeBgMode,
+            bgKeyColor,
+            removeBg: removeBgMode === 'key' ? bgKeyColor : removeBgMode === 'auto' && 'auto',
+            bgTolerance: parseInt(document.getElementById('bgTolerance')?.value ?? 20),
             
             // Size
             customSize: document.getElementById('customSize')?.checked ?? false,
@@ -332,6 +459,7 @@ class ATSVGApp {
             // Embed options
             imageFormat: document.getElementById('imageFormat')?.value || 'png',
             jpegQuality: parseInt(document.getElementById('jpegQuality')?.value || 92),
+            hybridThreshold: parseFloat(document.getElementById('hybridThreshold')?.value || 4),
             
             // Document options
             pdfPage: parseInt(document.getElementById('pdfPage')?.value || 1),
@@ -420,7 +548,13 @@ class ATSVGApp {
             this.showProgress(`Converting ${i + 1}/${this.batchFiles.length}...`, (i / this.batchFiles.length) * 100);
             
             try {
-                const result = await this.converter.convert(file, settings);
+                const result = await this.converter.convert(file, {
+                    ...settings,
+                    onProgress: ({ fraction }) => this.showProgress(
+                        `Converting ${i + 1}/${this.batchFiles.length}...`,
+                        ((i + fraction) / this.batchFiles.length) * 100
+                    )
+                });
                 this.batchResults.push({
                     file,
                     result: Array.isArray(result) ? result : [result],
@@ -432,6 +566,12 @@ class ATSVGApp {
                     status.className = 'batch-item-status done';
                 }
             } catch (error) {
+                // Cancelling stops the rest of the batch too
+                if (error.name === 'AbortError') {
+                    if (status) status.textContent = 'Cancelled';
+                    break;
+                }
+                
                 this.batchResults.push({
                     file,
                     error: error.message,
@@ -543,6 +683,7 @@ class ATSVGApp {
         
         if (percentage !== null) {
             this.elements.progressFill.style.width = `${percentage}%`;
+            this.elements.progressFill.style.animation = '';
         } else {
             // Indeterminate progress
             this.elements.progressFill.style.width = '100%';
@@ -555,6 +696,23 @@ class ATSVGApp {
         this.elements.progressFill.style.animation = '';
     }
 
+    showTraceProgress(text, { stage, fraction }) {
+        const stages = {
+            preprocess: 'preparing image',
+            palette: 'building palette',
+            mapping: 'mapping colors',
+            tracing: 'tracing paths',
+            done: 'finishing'
+        };
+        this.showProgress(`${text}: ${stages[stage] || stage}...`, fraction * 100);
+    }
+
+    cancelConversion() {
+        this.converter.cancel();
+        this.hideProgress();
+        this.showToast('Conversion cancelled', 'error');
+    }
+
     showToast(message, type = 'success') {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
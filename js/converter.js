@@ -12,6 +12,11 @@ class ATSVGConverter {
         if (typeof pdfjsLib !== 'undefined') {
             pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
         }
+        
+        // Tracing runs in a worker; jobs wait here for its replies
+        this.traceWorker = null;
+        this.traceJobs = new Map();
+        this.traceJobId = 0;
     }
 
     /**
@@ -85,15 +90,25 @@ class ATSVGConverter {
                 try {
                     const img = new Image();
                     
-                    img.onload = () => {
+                    img.onload = async () => {
                         try {
-                            const svg = this.imageToSVG(img, options);
-                            resolve({
-                                svg,
+                            const result = {
                                 width: img.naturalWidth,
                                 height: img.naturalHeight,
                                 originalSize: file.size
-                            });
+                            };
+                            
+                            // Auto mode also reports the settings it picked
+                            if (options.conversionMode === 'auto') {
+                                const autoOptions = options.traceMode === 'pixelart'
+                                    ? this.pixelArtOptions(img, options)
+                                    : options;
+                                const canvas = await this.imageToCanvas(img, autoOptions);
+                                Object.assign(result, await this.autoTraceToSVG(canvas, autoOptions));
+                            } else {
+                                result.svg = await this.imageToSVG(img, options);
+                            }
+                            resolve(result);
                         } catch (err) {
                             reject(err);
                         }
@@ -114,11 +129,28 @@ class ATSVGConverter {
     /**
      * Convert loaded image to SVG
      */
-    imageToSVG(img, options = {}) {
+    async imageToSVG(img, options = {}) {
         const mode = options.conversionMode || 'embed';
+        if (mode !== 'embed' && options.traceMode === 'pixelart') {
+            options = this.pixelArtOptions(img, options);
+        }
+        const canvas = await this.imageToCanvas(img, options);
         
-        // Create canvas for processing
-        const canvas = document.createElement('canvas');
+        if (mode === 'trace') {
+            return this.traceToSVG(canvas, options);
+        } else if (mode === 'auto') {
+            return (await this.autoTraceToSVG(canvas, options)).svg;
+        } else if (mode === 'hybrid') {
+            return this.hybridToSVG(canvas, options);
+        } else {
+            return this.embedToSVG(canvas, options);
+        }
+    }
+
+    /**
+     * Output size of a loaded image, from the size and scale options
+     */
+    getOutputSize(img, options = {}) {
         let width = img.naturalWidth || img.width;
         let height = img.naturalHeight || img.height;
         
@@ -150,8 +182,38 @@ class ATSVGConverter {
             }
         }
         
-        canvas.width = Math.round(width * scale);
-        canvas.height = Math.round(height * scale);
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    /**
+     * Options that trace pixel art at its own size and enlarge it by whole
+     * pixels in the SVG. Shrunk pixel art is drawn without smoothing.
+     */
+    pixelArtOptions(img, options = {}) {
+        const { width, height } = this.getOutputSize(img, options);
+        const naturalWidth = img.naturalWidth || img.width;
+        const naturalHeight = img.naturalHeight || img.height;
+        if (width < naturalWidth || height < naturalHeight) return options;
+        
+        return {
+            ...options,
+            scale: 100,
+            customSize: false,
+            pixelScale: Math.max(1, Math.round(width / naturalWidth))
+        };
+    }
+
+    /**
+     * Draw a loaded image to a canvas at the output size, with the
+     * background options applied. Background removal runs in the trace
+     * worker.
+     */
+    async imageToCanvas(img, options = {}) {
+        // Create canvas for processing
+        const canvas = document.createElement('canvas');
+        const { width, height } = this.getOutputSize(img, options);
+        canvas.width = width;
+        canvas.height = height;
         
         const ctx = canvas.getContext('2d');
         
@@ -161,6 +223,8 @@ class ATSVGConverter {
             ctx.fillRect(0, 0, canvas.width, canvas.height);
         }
         
+        // Pixel art keeps hard edges between its pixels
+        ctx.imageSmoothingEnabled = options.traceMode !== 'pixelart';
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
         
         // Remove white background if requested
@@ -168,11 +232,17 @@ class ATSVGConverter {
             this.removeWhiteBackground(ctx, canvas.width, canvas.height, options.whiteToleranceValue || 20);
         }
         
-        if (mode === 'trace') {
-            return this.traceToSVG(canvas, options);
-        } else {
-            return this.embedToSVG(canvas, options);
+        // Remove the background connected to the edges, detected or keyed
+        if (options.removeBg) {
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const pixels = await this.runTraceTask('removeBackground', imageData.data, canvas.width, canvas.height, {
+                removeBg: options.removeBg,
+                bgTolerance: options.bgTolerance ?? 20
+            });
+            ctx.putImageData(new ImageData(pixels, canvas.width, canvas.height), 0, 0);
         }
+        
+        return canvas;
     }
 
     /**
@@ -232,36 +302,192 @@ class ATSVGConverter {
     }
 
     /**
-     * Trace image to vector SVG
+     * Trace image to vector SVG in the trace worker. options.onProgress
+     * receives { stage, fraction } as the trace goes. The options go to the
+     * tracer as they are, so addViewBox and preserveMetadata shape its SVG
+     * as they do in the npm package.
      */
     traceToSVG(canvas, options = {}) {
-        const traceOptions = {
-            numberofcolors: options.colorCount || 16,
-            blurradius: options.blurRadius || 0,
-            ltres: options.pathSimplify || 1,
-            threshold: options.threshold || 128,
-            scale: 1,
-            viewbox: options.addViewBox,
-            desc: options.preserveMetadata
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return this.runTraceTask('trace', imageData.data, imageData.width, imageData.height, options);
+    }
+
+    /**
+     * Run a tracer task on RGBA pixels in the trace worker: 'trace',
+     * 'autoTune', 'hybrid' or 'removeBackground'. The pixels' buffer moves
+     * to the worker, so it is unusable afterwards. The worker asks for the
+     * steps it cannot do, such as rendering an SVG, by the name of one of
+     * `callbacks`, which run here.
+     */
+    runTraceTask(task, pixels, width, height, options = {}, callbacks = {}) {
+        const { onProgress, ...taskOptions } = options;
+        
+        const worker = this.getTraceWorker();
+        const id = ++this.traceJobId;
+        
+        return new Promise((resolve, reject) => {
+            this.traceJobs.set(id, { resolve, reject, onProgress, callbacks });
+            
+            // The pixels move to the worker instead of being copied
+            worker.postMessage({
+                id,
+                task,
+                pixels,
+                width,
+                height,
+                options: taskOptions
+            }, [pixels.buffer]);
+        });
+    }
+
+    /**
+     * Trace with settings tuned to the image. The tracer's autoTune() runs
+     * in the worker and has its candidates rendered back here. Resolves to
+     * { svg, autoSettings, analysis }.
+     */
+    async autoTraceToSVG(canvas, options = {}) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        
+        const { options: autoSettings, analysis } = await this.runTraceTask(
+            'autoTune', imageData.data.slice(), imageData.width, imageData.height, options, {
+                rasterize: (svg, width, height) => this.rasterizeSVG(svg, width, height)
+            }
+        );
+        
+        const svg = await this.runTraceTask('trace', imageData.data, imageData.width, imageData.height, {
+            ...options,
+            ...autoSettings
+        });
+        return { svg, autoSettings, analysis };
+    }
+
+    /**
+     * Trace the flat parts of the image in the worker and embed its photo
+     * regions as JPEG, or WebP with imageFormat 'webp'. The worker finds
+     * the regions and has them encoded here.
+     */
+    hybridToSVG(canvas, options = {}) {
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const mimeType = options.imageFormat === 'webp' ? 'image/webp' : 'image/jpeg';
+        const quality = (options.jpegQuality || 92) / 100;
+        
+        return this.runTraceTask('hybrid', imageData.data, imageData.width, imageData.height, options, {
+            encode: (pixels, width, height) => {
+                const tile = document.createElement('canvas');
+                tile.width = width;
+                tile.height = height;
+                const tileCtx = tile.getContext('2d');
+                
+                // JPEG has no alpha, so photos are shown over white
+                tileCtx.fillStyle = '#ffffff';
+                tileCtx.fillRect(0, 0, width, height);
+                const photo = document.createElement('canvas');
+                photo.width = width;
+                photo.height = height;
+                photo.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+                tileCtx.drawImage(photo, 0, 0);
+                return tile.toDataURL(mimeType, quality);
+            }
+        });
+    }
+
+    /**
+     * Render an SVG to RGBA pixels of the given size
+     */
+    rasterizeSVG(svg, width, height) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+            const img = new Image();
+            
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                resolve(ctx.getImageData(0, 0, width, height).data);
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render SVG'));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Get the trace worker, starting it on first use. It runs the same
+     * tracer as the npm package, off the main thread.
+     */
+    getTraceWorker() {
+        if (this.traceWorker) {
+            return this.traceWorker;
+        }
+        
+        this.traceWorker = new Worker('js/trace-worker.js', { type: 'module' });
+        
+        this.traceWorker.onmessage = (e) => {
+            const message = e.data;
+            const job = this.traceJobs.get(message.id);
+            if (!job) return;
+            
+            if (message.type === 'progress') {
+                if (job.onProgress) job.onProgress({ stage: message.stage, fraction: message.fraction });
+                return;
+            }
+            
+            // The worker asks for a step it cannot do; pixels go back moved
+            if (message.type === 'call') {
+                const { callId, name, args } = message;
+                Promise.resolve()
+                    .then(() => job.callbacks[name](...args))
+                    .then(
+                        result => this.traceWorker?.postMessage({ callId, result }, result?.buffer ? [result.buffer] : []),
+                        error => this.traceWorker?.postMessage({ callId, error: error.message })
+                    );
+                return;
+            }
+            
+            this.traceJobs.delete(message.id);
+            if (message.type === 'result') {
+                job.resolve(message.result);
+            } else {
+                job.reject(new Error(message.message));
+            }
         };
         
-        // Set color mode
-        switch (options.traceMode) {
-            case 'grayscale':
-                traceOptions.colorMode = 'grayscale';
-                break;
-            case 'monochrome':
-                traceOptions.colorMode = 'monochrome';
-                break;
-            case 'posterize':
-                traceOptions.colorMode = 'color';
-                traceOptions.numberofcolors = Math.min(options.colorCount || 8, 8);
-                break;
-            default:
-                traceOptions.colorMode = 'color';
+        this.traceWorker.onerror = (e) => {
+            this.stopTraceWorker(new Error(e.message || 'Trace worker failed'));
+        };
+        
+        return this.traceWorker;
+    }
+
+    /**
+     * Cancel running conversions. Their promises reject with an AbortError.
+     */
+    cancel() {
+        this.stopTraceWorker(new DOMException('Conversion cancelled', 'AbortError'));
+    }
+
+    /**
+     * Terminate the trace worker and reject its pending jobs with `error`
+     */
+    stopTraceWorker(error) {
+        if (this.traceWorker) {
+            this.traceWorker.terminate();
+            this.traceWorker = null;
         }
         
-        return ImageTracer.traceCanvas(canvas, traceOptions);
+        for (const job of this.traceJobs.values()) {
+            job.reject(error);
+        }
+        this.traceJobs.clear();
     }
 
     /**
@@ -328,22 +554,14 @@ class ATSVGConverter {
             viewport: viewport
         }).promise;
         
-        const svg = this.imageToSVG({ 
-            naturalWidth: canvas.width, 
-            naturalHeight: canvas.height,
-            width: canvas.width,
-            height: canvas.height
-        }, {
-            ...options,
-            _canvas: canvas
-        });
-        
         // Use the canvas directly for embedding
         const mode = options.conversionMode || 'embed';
         let finalSvg;
         
         if (mode === 'trace') {
-            finalSvg = this.traceToSVG(canvas, options);
+            finalSvg = await this.traceToSVG(canvas, options);
+        } else if (mode === 'hybrid') {
+            finalSvg = await this.hybridToSVG(canvas, options);
         } else {
             finalSvg = this.embedToSVG(canvas, options);
         }
@@ -0,0 +1,69 @@
+/**
+ * ATSVG Trace Worker
+ * Runs tracer tasks off the main thread and streams progress back. Steps
+ * that need the DOM, such as rendering an SVG, are asked of the main thread.
+ */
+
+import { ImageTracer } from '../lib/tracer.js';
+
+// Requests to the main thread, waiting for their replies
+const calls = new Map();
+let callId = 0;
+
+/**
+ * Ask the main thread to run job `id`'s `name` callback with `args`
+ */
+function callMain(id, name, ...args) {
+    return new Promise((resolve, reject) => {
+        calls.set(++callId, { resolve, reject });
+        self.postMessage({ id, type: 'call', callId, name, args });
+    });
+}
+
+// Tasks by name, given a tracer with the job's options and the job message
+const tasks = {
+    trace: (tracer, { pixels, width, height, options }, onProgress) =>
+        tracer.trace(pixels, width, height, { ...options, onProgress }),
+
+    autoTune: (tracer, { id, pixels, width, height, options }) =>
+        tracer.autoTune(pixels, width, height, options, {
+            rasterize: (svg, w, h) => callMain(id, 'rasterize', svg, w, h)
+        }),
+
+    hybrid: (tracer, { id, pixels, width, height, options }, onProgress) =>
+        tracer.traceHybrid(pixels, width, height, { ...options, onProgress }, {
+            encode: (photo, w, h) => callMain(id, 'encode', photo, w, h)
+        }),
+
+    removeBackground: (tracer, { pixels, width, height, options }) =>
+        tracer.removeBackground(pixels, width, height, options.removeBg, options.bgTolerance)
+};
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    // A reply to callMain()
+    if (message.callId) {
+        const call = calls.get(message.callId);
+        calls.delete(message.callId);
+        if ('error' in message) {
+            call.reject(new Error(message.error));
+        } else {
+            call.resolve(message.result);
+        }
+        return;
+    }
+
+    const { id, task = 'trace', options } = message;
+    const onProgress = ({ stage, fraction }) => {
+        self.postMessage({ id, type: 'progress', stage, fraction });
+    };
+
+    try {
+        const result = await tasks[task](new ImageTracer(options), message, onProgress);
+        // Pixels go back moved, like they came
+        self.postMessage({ id, type: 'result', result }, ArrayBuffer.isView(result) ? [result.buffer] : []);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
@@ -8,347 +8,26 @@ import sharp from 'sharp';
 import mammoth from 'mammoth';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ImageTracer, measureFidelity, fidelityHeatmap } from './tracer.js';
+import { WorkerPool } from './worker-pool.js';
+
+export { ImageTracer, parsePalette, measureFidelity, fidelityHeatmap } from './tracer.js';
 
 // Get dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Color counts searched by the maxBytes / minFidelity constraints
+const SEARCH_MIN_COLORS = 2;
+const SEARCH_MAX_COLORS = 64;
+// Multiples of pathSimplify tried when fewer colors are not enough
+const SEARCH_SIMPLIFY_FACTORS = [1, 2, 4];
+
 /**
- * Simple image tracer - converts raster to vector paths
- * Pure JavaScript implementation
+ * Describe searched trace settings for error messages
  */
-class ImageTracer {
-    constructor(options = {}) {
-        this.options = {
-            colorCount: options.colorCount || 16,
-            threshold: options.threshold || 128,
-            blurRadius: options.blurRadius || 0,
-            pathSimplify: options.pathSimplify || 1,
-            traceMode: options.traceMode || 'color'
-        };
-    }
-
-    /**
-     * Quantize colors using median cut algorithm
-     */
-    quantizeColors(pixels, numColors) {
-        if (pixels.length === 0 || numColors < 1) {
-            return [{ r: 128, g: 128, b: 128, count: 0 }];
-        }
-
-        // Build color buckets
-        let buckets = [pixels.slice()];
-
-        while (buckets.length < numColors) {
-            // Find bucket with largest range
-            let maxRange = 0;
-            let maxBucketIdx = 0;
-            let maxChannel = 'r';
-
-            for (let i = 0; i < buckets.length; i++) {
-                const bucket = buckets[i];
-                if (bucket.length < 2) continue;
-
-                for (const channel of ['r', 'g', 'b']) {
-                    const values = bucket.map(p => p[channel]);
-                    const min = Math.min(...values);
-                    const max = Math.max(...values);
-                    const range = max - min;
-
-                    if (range > maxRange) {
-                        maxRange = range;
-                        maxBucketIdx = i;
-                        maxChannel = channel;
-                    }
-                }
-            }
-
-            if (maxRange === 0) break;
-
-            // Split the bucket
-            const bucket = buckets[maxBucketIdx];
-            bucket.sort((a, b) => a[maxChannel] - b[maxChannel]);
-            const mid = Math.floor(bucket.length / 2);
-            buckets.splice(maxBucketIdx, 1, bucket.slice(0, mid), bucket.slice(mid));
-        }
-
-        // Calculate average color for each bucket
-        return buckets.map(bucket => {
-            if (bucket.length === 0) return { r: 0, g: 0, b: 0, count: 0 };
-            
-            const sum = bucket.reduce((acc, p) => ({
-                r: acc.r + p.r,
-                g: acc.g + p.g,
-                b: acc.b + p.b
-            }), { r: 0, g: 0, b: 0 });
-
-            return {
-                r: Math.round(sum.r / bucket.length),
-                g: Math.round(sum.g / bucket.length),
-                b: Math.round(sum.b / bucket.length),
-                count: bucket.length
-            };
-        }).filter(c => c.count > 0);
-    }
-
-    /**
-     * Find color palette from image data
-     */
-    getPalette(data, width, height, numColors) {
-        const pixels = [];
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const a = data[i + 3];
-            if (a > 128) { // Only include non-transparent pixels
-                pixels.push({
-                    r: data[i],
-                    g: data[i + 1],
-                    b: data[i + 2]
-                });
-            }
-        }
-
-        return this.quantizeColors(pixels, numColors);
-    }
-
-    /**
-     * Map each pixel to nearest palette color
-     */
-    mapToPalette(data, palette) {
-        const indexed = new Int16Array(data.length / 4);
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const a = data[i + 3];
-
-            if (a < 128) {
-                indexed[i / 4] = -1; // Transparent
-                continue;
-            }
-
-            // Find nearest color
-            let minDist = Infinity;
-            let nearest = 0;
-
-            for (let j = 0; j < palette.length; j++) {
-                const c = palette[j];
-                const dist = (r - c.r) ** 2 + (g - c.g) ** 2 + (b - c.b) ** 2;
-                if (dist < minDist) {
-                    minDist = dist;
-                    nearest = j;
-                }
-            }
-
-            indexed[i / 4] = nearest;
-        }
-
-        return indexed;
-    }
-
-    /**
-     * Simplify path using Ramer-Douglas-Peucker algorithm
-     */
-    simplifyPath(path, tolerance) {
-        if (path.length <= 2) return path;
-
-        const sqTolerance = tolerance * tolerance;
-
-        function getSqSegDist(p, p1, p2) {
-            let x = p1.x;
-            let y = p1.y;
-            let dx = p2.x - x;
-            let dy = p2.y - y;
-
-            if (dx !== 0 || dy !== 0) {
-                const t = ((p.x - x) * dx + (p.y - y) * dy) / (dx * dx + dy * dy);
-                if (t > 1) {
-                    x = p2.x;
-                    y = p2.y;
-                } else if (t > 0) {
-                    x += dx * t;
-                    y += dy * t;
-                }
-            }
-
-            return (p.x - x) ** 2 + (p.y - y) ** 2;
-        }
-
-        function simplifyDPStep(points, first, last, sqTolerance, simplified) {
-            let maxSqDist = sqTolerance;
-            let index = 0;
-
-            for (let i = first + 1; i < last; i++) {
-                const sqDist = getSqSegDist(points[i], points[first], points[last]);
-                if (sqDist > maxSqDist) {
-                    index = i;
-                    maxSqDist = sqDist;
-                }
-            }
-
-            if (maxSqDist > sqTolerance) {
-                if (index - first > 1) {
-                    simplifyDPStep(points, first, index, sqTolerance, simplified);
-                }
-                simplified.push(points[index]);
-                if (last - index > 1) {
-                    simplifyDPStep(points, index, last, sqTolerance, simplified);
-                }
-            }
-        }
-
-        const last = path.length - 1;
-        const simplified = [path[0]];
-        simplifyDPStep(path, 0, last, sqTolerance, simplified);
-        simplified.push(path[last]);
-
-        return simplified;
-    }
-
-    /**
-     * Convert to grayscale
-     */
-    toGrayscale(data) {
-        const result = new Uint8ClampedArray(data.length);
-        for (let i = 0; i < data.length; i += 4) {
-            const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-            result[i] = gray;
-            result[i + 1] = gray;
-            result[i + 2] = gray;
-            result[i + 3] = data[i + 3];
-        }
-        return result;
-    }
-
-    /**
-     * Convert to monochrome
-     */
-    toMonochrome(data, threshold) {
-        const result = new Uint8ClampedArray(data.length);
-        for (let i = 0; i < data.length; i += 4) {
-            const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-            const val = gray > threshold ? 255 : 0;
-            result[i] = val;
-            result[i + 1] = val;
-            result[i + 2] = val;
-            result[i + 3] = data[i + 3];
-        }
-        return result;
-    }
-
-    /**
-     * Create run-length encoded rectangles for a color
-     */
-    createColorRects(indexed, width, height, colorIdx) {
-        const rects = [];
-        
-        for (let y = 0; y < height; y++) {
-            let runStart = -1;
-            
-            for (let x = 0; x <= width; x++) {
-                const idx = y * width + x;
-                const isColor = x < width && indexed[idx] === colorIdx;
-                
-                if (isColor && runStart === -1) {
-                    runStart = x;
-                } else if (!isColor && runStart !== -1) {
-                    rects.push({ x: runStart, y, w: x - runStart, h: 1 });
-                    runStart = -1;
-                }
-            }
-        }
-
-        // Merge vertically adjacent rectangles
-        return this.mergeRects(rects);
-    }
-
-    /**
-     * Merge adjacent rectangles
-     */
-    mergeRects(rects) {
-        if (rects.length === 0) return rects;
-        
-        // Sort by y, then x
-        rects.sort((a, b) => a.y - b.y || a.x - b.x);
-        
-        const merged = [];
-        let current = { ...rects[0] };
-        
-        for (let i = 1; i < rects.length; i++) {
-            const rect = rects[i];
-            
-            // Can merge if same x and width, and adjacent y
-            if (rect.x === current.x && rect.w === current.w && rect.y === current.y + current.h) {
-                current.h += rect.h;
-            } else {
-                merged.push(current);
-                current = { ...rect };
-            }
-        }
-        
-        merged.push(current);
-        return merged;
-    }
-
-    /**
-     * Main trace function - creates SVG from image data
-     */
-    trace(data, width, height, options = {}) {
-        const opts = { ...this.options, ...options };
-        let processedData = new Uint8ClampedArray(data);
-
-        // Apply color mode
-        if (opts.traceMode === 'grayscale') {
-            processedData = this.toGrayscale(data);
-        } else if (opts.traceMode === 'monochrome') {
-            processedData = this.toMonochrome(data, opts.threshold);
-        }
-
-        // Get palette
-        const numColors = opts.traceMode === 'monochrome' ? 2 : opts.colorCount;
-        const palette = this.getPalette(processedData, width, height, numColors);
-
-        // Map pixels to palette
-        const indexed = this.mapToPalette(processedData, palette);
-
-        // Generate SVG
-        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`;
-        svg += `  <title>Traced with ATSVG</title>\n`;
-
-        // Generate optimized rectangles for each color
-        for (let i = 0; i < palette.length; i++) {
-            const color = palette[i];
-            const colorStr = `rgb(${color.r},${color.g},${color.b})`;
-            
-            const rects = this.createColorRects(indexed, width, height, i);
-            
-            if (rects.length > 0) {
-                svg += `  <g fill="${colorStr}" shape-rendering="crispEdges">\n`;
-                
-                // Convert to path for better compression
-                if (rects.length > 100) {
-                    // Use path for many rectangles
-                    let pathData = '';
-                    for (const rect of rects) {
-                        pathData += `M${rect.x} ${rect.y}h${rect.w}v${rect.h}h${-rect.w}z`;
-                    }
-                    svg += `    <path d="${pathData}"/>\n`;
-                } else {
-                    // Use individual rects for few rectangles
-                    for (const rect of rects) {
-                        svg += `    <rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}"/>\n`;
-                    }
-                }
-                
-                svg += `  </g>\n`;
-            }
-        }
-
-        svg += `</svg>`;
-
-        return svg;
-    }
+function formatSettings({ colorCount, pathSimplify, coordinatePrecision }) {
+    return `colorCount ${colorCount}, pathSimplify ${pathSimplify}, coordinatePrecision ${coordinatePrecision}`;
 }
 
 /**
@@ -364,15 +43,44 @@ export class ATSVGConverter {
             scale: 100,
             colorCount: 16,
             traceMode: 'color',
+            traceStyle: 'contour',
+            posterizeLevels: 4,
+            posterizeLuminance: false,
+            quantizer: 'median-cut',
+            colorQuantCycles: 3,
+            colorDistance: 'rgb',
+            palette: null,
+            despeckle: 0,
+            layering: 'cutout',
+            layerOrder: 'area',
+            gradients: false,
+            gradientTolerance: 6,
+            pixelGrid: false,
+            alphaCutoff: 128,
+            hybridThreshold: 4,
             transparentBg: true,
             removeWhiteBg: false,
             whiteToleranceValue: 20,
+            removeBg: false,
+            bgTolerance: 20,
+            denoise: 'none',
+            denoiseRadius: 1,
             blurRadius: 0,
             pathSimplify: 1,
+            coordinatePrecision: 1,
+            curveTolerance: 1,
+            curveType: 'cubic',
             threshold: 128,
             addViewBox: true,
+            preserveMetadata: false,
             imageFormat: 'png',
             pdfScale: 2,
+            workers: 0,
+            tileSize: 0,
+            memoryLimit: 0,
+            metrics: false,
+            maxBytes: 0,
+            minFidelity: 0,
             ...options
         };
 
@@ -381,6 +89,34 @@ export class ATSVGConverter {
             '.bmp', '.tiff', '.tif', '.avif', '.heic', '.heif'
         ];
         this.supportedDocTypes = ['.pdf', '.docx'];
+        this.workerPool = null;
+    }
+
+    /**
+     * Worker pool for the `workers` option, or null to stay on the main
+     * thread. The pool is kept for later conversions.
+     */
+    getWorkerPool(workers) {
+        if (!(workers > 1)) return null;
+
+        if (this.workerPool && this.workerPool.size !== workers) {
+            this.workerPool.close();
+            this.workerPool = null;
+        }
+        if (!this.workerPool) {
+            this.workerPool = new WorkerPool(workers);
+        }
+        return this.workerPool;
+    }
+
+    /**
+     * Stop the worker threads, if any were started
+     */
+    async close() {
+        if (this.workerPool) {
+            await this.workerPool.close();
+            this.workerPool = null;
+        }
     }
 
     /**
@@ -484,8 +220,12 @@ export class ATSVGConverter {
     async convertImage(buffer, options = {}) {
         const opts = { ...this.options, ...options };
         
+        // Tiled traces read the image a region at a time, which keeps
+        // memory bounded where sharp's pixel limit would refuse it
+        const tiling = opts.conversionMode === 'trace' && (opts.memoryLimit > 0 || opts.tileSize > 0);
+
         // Process image with Sharp
-        let image = sharp(buffer);
+        let image = sharp(buffer, { limitInputPixels: !tiling });
         const metadata = await image.metadata();
         
         let width = metadata.width;
@@ -523,16 +263,34 @@ export class ATSVGConverter {
         width = Math.round(width * scale);
         height = Math.round(height * scale);
 
+        // Pixel art is traced at its own size and enlarged by whole pixels
+        // in the SVG, or shrunk without blending colors
+        const pixelArt = opts.traceMode === 'pixelart' && opts.conversionMode !== 'embed';
+        let pixelScale = 1;
+        if (pixelArt && width >= metadata.width && height >= metadata.height) {
+            pixelScale = Math.max(1, Math.round(width / metadata.width));
+            width = metadata.width;
+            height = metadata.height;
+        }
+
         // Resize image
         image = image.resize(width, height, {
             fit: 'fill',
-            withoutEnlargement: false
+            withoutEnlargement: false,
+            ...(pixelArt && { kernel: 'nearest' })
         });
 
-        // Handle background
-        if (opts.removeWhiteBg) {
+        // Handle background. Tiles remove it as they are read.
+        const tiled = tiling && new ImageTracer(opts).getTileSize(width, height) > 0;
+        if (tiled && (opts.metrics || opts.maxBytes > 0 || opts.minFidelity > 0)) {
+            throw new Error('metrics, maxBytes and minFidelity render the whole image and cannot be used when it is traced in tiles. Raise memoryLimit or leave them out');
+        }
+        if (opts.removeWhiteBg && !tiled) {
             image = await this.removeWhiteBackgroundSharp(image, opts.whiteToleranceValue);
         }
+        if (opts.removeBg && !tiled) {
+            image = await this.removeBackgroundSharp(image, opts);
+        }
 
         if (opts.transparentBg) {
             image = image.ensureAlpha();
@@ -540,31 +298,218 @@ export class ATSVGConverter {
             image = image.flatten({ background: opts.bgColor });
         }
 
-        // Apply blur if tracing
-        if (opts.conversionMode === 'trace' && opts.blurRadius > 0) {
-            image = image.blur(opts.blurRadius);
+        // Tiled TIFF lets each tile decode only its own region
+        const processedBuffer = tiled
+            ? await image.tiff({ tile: true, compression: 'deflate' }).toBuffer()
+            : await image.png().toBuffer();
+        const processedMetadata = await sharp(processedBuffer).metadata();
+
+        const result = {
+            width: processedMetadata.width * pixelScale,
+            height: processedMetadata.height * pixelScale,
+            originalSize: buffer.length
+        };
+
+        const constrained = opts.maxBytes > 0 || opts.minFidelity > 0;
+        if (constrained && opts.conversionMode !== 'trace' && opts.conversionMode !== 'auto') {
+            throw new Error('maxBytes and minFidelity need conversionMode "trace" or "auto"');
         }
 
-        const processedBuffer = await image.png().toBuffer();
-        const processedMetadata = await sharp(processedBuffer).metadata();
+        let traceOptions = pixelScale > 1 ? { ...opts, pixelScale } : opts;
+        if (opts.conversionMode === 'auto') {
+            // Trace with the settings the tuner picks, and report them
+            const { options: autoSettings, analysis } = await this.autoTune(processedBuffer, opts);
+            traceOptions = { ...traceOptions, ...autoSettings };
+            result.autoSettings = autoSettings;
+            result.analysis = analysis;
+        }
+
+        if (constrained) {
+            const found = await this.searchTrace(processedBuffer, processedMetadata, traceOptions);
+            result.svg = found.svg;
+            result.searchSettings = found.settings;
+            if (found.metrics) result.metrics = found.metrics;
+        } else if (opts.conversionMode === 'trace' || opts.conversionMode === 'auto') {
+            result.svg = await this.traceImage(processedBuffer, processedMetadata, traceOptions);
+        } else if (opts.conversionMode === 'hybrid') {
+            result.svg = await this.hybridImage(processedBuffer, traceOptions);
+        } else {
+            result.svg = await this.embedImage(processedBuffer, processedMetadata, opts);
+        }
+
+        // Score the SVG against the image it was made from
+        if (opts.metrics && !result.metrics) {
+            result.metrics = await this.compare(processedBuffer, result.svg);
+        }
+
+        return result;
+    }
+
+    /**
+     * Search colorCount, pathSimplify and coordinatePrecision for a trace
+     * that meets `maxBytes` (SVG size in bytes) and/or `minFidelity` (SSIM
+     * against the image). With minFidelity, the smallest SVG that reaches
+     * it wins; with maxBytes alone, the most faithful one that fits.
+     * Throws when no setting meets the constraints.
+     */
+    async searchTrace(buffer, metadata, options = {}) {
+        const { maxBytes = 0, minFidelity = 0 } = options;
+        const precision = options.coordinatePrecision ?? 1;
+        const simplify = options.pathSimplify || 1;
+
+        // Only color traces without a fixed palette have a color count to tune
+        const tunesColors = options.traceMode === 'color' && !options.palette;
+        const colorCount = options.colorCount || 16;
+
+        // From the requested detail down to coarser paths and whole-pixel coordinates
+        const levels = [];
+        for (const coordinatePrecision of new Set([precision, 0])) {
+            for (const factor of SEARCH_SIMPLIFY_FACTORS) {
+                levels.push({ pathSimplify: simplify * factor, coordinatePrecision });
+            }
+        }
+
+        const attempts = new Map();
+        const attempt = async (settings) => {
+            const key = `${settings.colorCount}/${settings.pathSimplify}/${settings.coordinatePrecision}`;
+            if (!attempts.has(key)) {
+                const svg = await this.traceImage(buffer, metadata, { ...options, ...settings });
+                attempts.set(key, { settings, svg, bytes: Buffer.byteLength(svg) });
+            }
+            return attempts.get(key);
+        };
+        const measure = async (found) => {
+            found.metrics ??= await this.compare(buffer, found.svg);
+            return found.metrics;
+        };
+        const fits = (found) => !maxBytes || found.bytes <= maxBytes;
+
+        // Binary search the color range, assuming more colors means a
+        // larger and more faithful SVG
+        const search = async (level, low, high, accept, wantLowest) => {
+            let best = null;
+            while (low <= high) {
+                const mid = Math.floor((low + high) / 2);
+                const found = await attempt({ colorCount: mid, ...level });
+                if (await accept(found)) {
+                    best = found;
+                    if (wantLowest) high = mid - 1; else low = mid + 1;
+                } else if (wantLowest) {
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return best;
+        };
+
+        // Nothing beats the requested settings when they already fit
+        if (!minFidelity) {
+            const requested = await attempt({ colorCount, ...levels[0] });
+            if (fits(requested)) return { svg: requested.svg, settings: requested.settings };
+        }
+
+        const winners = [];
+        for (const level of levels) {
+            let found;
+            if (!tunesColors) {
+                found = await attempt({ colorCount, ...level });
+                if (minFidelity > 0 && (await measure(found)).ssim < minFidelity) found = null;
+            } else if (minFidelity > 0) {
+                const high = Math.max(colorCount, SEARCH_MAX_COLORS);
+                found = await search(level, SEARCH_MIN_COLORS, high,
+                    async (f) => (await measure(f)).ssim >= minFidelity, true);
+            } else {
+                found = await search(level, SEARCH_MIN_COLORS, colorCount, async (f) => fits(f), false);
+            }
+            if (found && fits(found)) winners.push(found);
+        }
+
+        if (winners.length === 0) {
+            const tried = [...attempts.values()];
+            if (minFidelity > 0) {
+                const faithful = tried.filter((f) => f.metrics && fits(f));
+                if (faithful.length === 0) {
+                    const smallest = tried.reduce((a, b) => (b.bytes < a.bytes ? b : a));
+                    throw new Error(`Cannot reach SSIM ${minFidelity} within ${maxBytes} bytes: ` +
+                        `the smallest SVG found is ${smallest.bytes} bytes (${formatSettings(smallest.settings)})`);
+                }
+                const closest = faithful.reduce((a, b) => (b.metrics.ssim > a.metrics.ssim ? b : a));
+                throw new Error(`Cannot reach SSIM ${minFidelity}: the most faithful SVG found ` +
+                    `has SSIM ${closest.metrics.ssim.toFixed(4)} (${formatSettings(closest.settings)})`);
+            }
+            const smallest = tried.reduce((a, b) => (b.bytes < a.bytes ? b : a));
+            throw new Error(`Cannot trace within ${maxBytes} bytes: the smallest SVG found ` +
+                `is ${smallest.bytes} bytes (${formatSettings(smallest.settings)})`);
+        }
 
-        if (opts.conversionMode === 'trace') {
-            const svg = await this.traceImage(processedBuffer, processedMetadata, opts);
-            return {
-                svg,
-                width: processedMetadata.width,
-                height: processedMetadata.height,
-                originalSize: buffer.length
-            };
+        let best;
+        if (minFidelity > 0) {
+            best = winners.reduce((a, b) => (b.bytes < a.bytes ? b : a));
         } else {
-            const svg = await this.embedImage(processedBuffer, processedMetadata, opts);
-            return {
-                svg,
-                width: processedMetadata.width,
-                height: processedMetadata.height,
-                originalSize: buffer.length
-            };
+            for (const found of winners) await measure(found);
+            best = winners.reduce((a, b) => (b.metrics.ssim > a.metrics.ssim ? b : a));
         }
+
+        return { svg: best.svg, settings: best.settings, metrics: best.metrics };
+    }
+
+    /**
+     * Measure how faithfully an SVG reproduces an image: PSNR, SSIM and
+     * CIEDE2000 statistics, with the SVG rendered at the image's size.
+     * With `heatmap`, the result also holds a PNG of the per-pixel
+     * color difference.
+     */
+    async compare(imageBuffer, svg, options = {}) {
+        const { data, info } = await sharp(imageBuffer, { limitInputPixels: false })
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const rendered = await this.rasterizeSVG(svg, info.width, info.height);
+        const metrics = measureFidelity(data, rendered, info.width, info.height);
+
+        if (options.heatmap) {
+            const heatmap = fidelityHeatmap(data, rendered, info.width, info.height);
+            metrics.heatmap = await sharp(heatmap, {
+                raw: { width: info.width, height: info.height, channels: 4 }
+            }).png().toBuffer();
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Find trace settings for a processed image buffer with the tracer's
+     * autoTune(), rasterizing its candidate SVGs with Sharp
+     */
+    async autoTune(buffer, options = {}) {
+        const { data, info } = await sharp(buffer)
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        return new ImageTracer(options).autoTune(data, info.width, info.height, options, {
+            rasterize: (svg, width, height) => this.rasterizeSVG(svg, width, height)
+        });
+    }
+
+    /**
+     * Render an SVG to raw RGBA pixels, at its own size or at width x height
+     */
+    async rasterizeSVG(svg, width, height) {
+        const buffer = Buffer.from(svg);
+        const metadata = await sharp(buffer).metadata();
+        if (!width || !height || (width === metadata.width && height === metadata.height)) {
+            return sharp(buffer).ensureAlpha().raw().toBuffer();
+        }
+
+        // Render at the density that gives the target size, not resampled
+        const density = 72 * Math.max(width / metadata.width, height / metadata.height);
+        return sharp(buffer, { density, limitInputPixels: false })
+            .resize(width, height, { fit: 'fill' })
+            .ensureAlpha()
+            .raw()
+            .toBuffer();
     }
 
     /**
@@ -572,6 +517,37 @@ export class ATSVGConverter {
      */
     async removeWhiteBackgroundSharp(image, tolerance = 20) {
         const { data, info } = await image.raw().ensureAlpha().toBuffer({ resolveWithObject: true });
+        this.removeWhitePixels(data, tolerance);
+
+        return sharp(data, {
+            raw: {
+                width: info.width,
+                height: info.height,
+                channels: 4
+            }
+        });
+    }
+
+    /**
+     * Remove the background connected to the image border using Sharp
+     */
+    async removeBackgroundSharp(image, options) {
+        const { data, info } = await image.raw().ensureAlpha().toBuffer({ resolveWithObject: true });
+        new ImageTracer(options).removeBackground(data, info.width, info.height, options.removeBg, options.bgTolerance);
+
+        return sharp(data, {
+            raw: {
+                width: info.width,
+                height: info.height,
+                channels: 4
+            }
+        });
+    }
+
+    /**
+     * Make white-ish RGBA pixels transparent, in place
+     */
+    removeWhitePixels(data, tolerance = 20) {
         const threshold = 255 - tolerance;
         
         for (let i = 0; i < data.length; i += 4) {
@@ -584,13 +560,7 @@ export class ATSVGConverter {
             }
         }
 
-        return sharp(data, {
-            raw: {
-                width: info.width,
-                height: info.height,
-                channels: 4
-            }
-        });
+        return data;
     }
 
     /**
@@ -632,24 +602,82 @@ export class ATSVGConverter {
         
         svg += `>\n`;
         svg += `  <title>Converted with ATSVG</title>\n`;
+        if (options.preserveMetadata) {
+            svg += `  <desc>Converted with ATSVG</desc>\n`;
+        }
         svg += `  <image width="${width}" height="${height}" xlink:href="${dataUrl}"/>\n`;
         svg += `</svg>`;
 
         return svg;
     }
 
+    /**
+     * Trace the flat parts of an image and embed its photographic parts as
+     * JPEG tiles, or WebP with imageFormat 'webp'
+     */
+    async hybridImage(buffer, options = {}) {
+        const { data, info } = await sharp(buffer)
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const quality = options.jpegQuality || 92;
+        const webp = options.imageFormat === 'webp';
+
+        const tracer = new ImageTracer(options);
+        return tracer.traceHybrid(data, info.width, info.height, options, {
+            trace: (pixels, width, height, traceOptions) => {
+                const pool = this.getWorkerPool(options.workers);
+                if (!pool) return tracer.trace(pixels, width, height, traceOptions);
+                return tracer.traceAsync(
+                    pixels, width, height, traceOptions,
+                    (method, args) => pool.run(method, args),
+                    options.workers
+                );
+            },
+            encode: async (pixels, width, height) => {
+                const image = sharp(Buffer.from(pixels.buffer), { raw: { width, height, channels: 4 } });
+                const encoded = webp
+                    ? await image.webp({ quality }).toBuffer()
+                    : await image.flatten({ background: '#ffffff' }).jpeg({ quality }).toBuffer();
+                return `data:image/${webp ? 'webp' : 'jpeg'};base64,${encoded.toString('base64')}`;
+            }
+        });
+    }
+
     /**
      * Trace image to vector SVG
      */
     async traceImage(buffer, metadata, options = {}) {
+        const tracer = new ImageTracer(options);
+
+        // Images over the memory limit are read and traced tile by tile
+        if (tracer.getTileSize(metadata.width, metadata.height) > 0) {
+            return tracer.traceTiled(metadata.width, metadata.height, async (left, top, width, height) => {
+                const data = await sharp(buffer, { limitInputPixels: false })
+                    .extract({ left, top, width, height })
+                    .ensureAlpha()
+                    .raw()
+                    .toBuffer();
+                return options.removeWhiteBg ? this.removeWhitePixels(data, options.whiteToleranceValue) : data;
+            }, options);
+        }
+
         // Get raw pixel data from Sharp
         const { data, info } = await sharp(buffer)
             .ensureAlpha()
             .raw()
             .toBuffer({ resolveWithObject: true });
 
-        const tracer = new ImageTracer(options);
-        return tracer.trace(data, info.width, info.height, options);
+        const pool = this.getWorkerPool(options.workers);
+        if (!pool) {
+            return tracer.trace(data, info.width, info.height, options);
+        }
+
+        return tracer.traceAsync(
+            data, info.width, info.height, options,
+            (method, args) => pool.run(method, args),
+            options.workers
+        );
     }
 
     /**
@@ -667,20 +695,24 @@ export class ATSVGConverter {
             throw new Error('PDF support requires pdfjs-dist package. Install with: npm install pdfjs-dist');
         }
 
-        const loadingTask = pdfjs.getDocument({ data: buffer });
+        const loadingTask = pdfjs.getDocument({ data: new Uint8Array(buffer) });
         const pdf = await loadingTask.promise;
         
         if (options.allPages) {
+            const pool = this.getWorkerPool(options.workers);
             const results = [];
             for (let i = 1; i <= pdf.numPages; i++) {
-                const result = await this.renderPDFPage(pdf, i, pdfScale, options);
-                results.push({
-                    ...result,
-                    pageNumber: i,
-                    totalPages: pdf.numPages
-                });
+                // Workers load their own copy of the document
+                const result = pool
+                    ? pool.run('renderPDFPage', [new Uint8Array(buffer), i, pdfScale, options])
+                    : await this.renderPDFPage(pdf, i, pdfScale, options);
+                results.push(result);
             }
-            return results;
+            return (await Promise.all(results)).map((result, i) => ({
+                ...result,
+                pageNumber: i + 1,
+                totalPages: pdf.numPages
+            }));
         } else {
             if (pageNumber > pdf.numPages) {
                 throw new Error(`Page ${pageNumber} does not exist. PDF has ${pdf.numPages} pages.`);
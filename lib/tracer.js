@@ -0,0 +1,4110 @@
+/**
+ * ATSVG - Tracing Core
+ * Pure JavaScript raster to vector tracer working on raw RGBA buffers.
+ * Shared by the npm package and the web app, so the same pixels and
+ * options always produce the same SVG.
+ */
+
+// Depth of the octree used for color quantization
+const OCTREE_DEPTH = 6;
+
+// K-means clusters closer than this (squared RGBA distance) are duplicates
+const KMEANS_DUPLICATE_DIST = 64;
+
+// Pixels farther than this (squared RGBA distance) from every cluster are
+// accent colors worth a cluster of their own
+const KMEANS_ACCENT_DIST = 64 * 64;
+
+// Bits per channel of the color histogram the quantizers work on
+const HISTOGRAM_BITS = 5;
+
+// Alpha difference in Lab units: fully opaque vs fully transparent spans
+// the same 100 as black vs white
+const LAB_ALPHA_SCALE = 100 / 255;
+
+// sRGB channel value to linear light, precomputed for Lab conversion
+const SRGB_TO_LINEAR = Float64Array.from({ length: 256 }, (_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+// Borders whose average color step (largest channel difference between
+// neighboring pixels) is at most this are banding, not edges
+const GRADIENT_SOFT_STEP = 16;
+
+// Smallest group of pixels and color range worth a gradient fill
+const GRADIENT_MIN_AREA = 64;
+const GRADIENT_MIN_CONTRAST = 16;
+
+// Most color bands sampled along a gradient before dropping the stops
+// that their neighbors already interpolate
+const GRADIENT_MAX_BANDS = 64;
+
+// Shared edges fitted per trace task
+const EDGE_BATCH_SIZE = 512;
+
+// Share of reported progress spent before the layers are traced
+const TRACE_PROGRESS_START = 0.4;
+
+// Working memory of a tiled trace per pixel of a tile and its margin:
+// the RGBA pixels, their preprocessed copy, the blur's float buffer, the
+// indexed image, despeckle labels and the edge lattice
+const TILE_BYTES_PER_PIXEL = 64;
+
+// Smallest tile side traceTiled() works in
+const TILE_MIN_SIZE = 16;
+
+// Color distance (RGBA, 0-255 per channel) at which a bilateral filter
+// weighs a neighbor at about 60%; JPEG noise sits well below it, edges
+// between flat colors well above
+const BILATERAL_COLOR_SIGMA = 30;
+
+// Edge-preserving filters the `denoise` option accepts
+const DENOISE_FILTERS = ['none', 'median', 'bilateral'];
+
+// How monochrome tracing picks the threshold of each pixel: the fixed
+// `threshold`, Otsu's global threshold, or a local one from the window
+// around the pixel
+const THRESHOLD_METHODS = ['fixed', 'otsu', 'adaptive-mean', 'sauvola'];
+
+// Gray levels below the window mean at which adaptive-mean turns a pixel
+// black, so that flat paper stays white
+const ADAPTIVE_MEAN_OFFSET = 10;
+
+// Sauvola's k and dynamic range of the standard deviation, for 8-bit gray
+const SAUVOLA_K = 0.2;
+const SAUVOLA_RANGE = 128;
+
+// Side of the square autoTune() traces its candidate settings on, and
+// the grid cells it measures detail in to place that square
+const AUTO_SAMPLE_SIZE = 256;
+const AUTO_CELL_SIZE = 32;
+
+// Mean per-channel distance of the pixels from their hybrid median above
+// which autoTune() treats an image as noisy
+const AUTO_NOISE_LEVEL = 2;
+
+// Colors closer than this (RGBA distance) count as one dominant color,
+// which has to cover this share of the opaque pixels
+const AUTO_MERGE_DISTANCE = 48;
+const AUTO_MIN_SHARE = 0.005;
+
+// Multiples of the dominant color count autoTune() tries. Quantizers can
+// need spare colors to keep close dominant colors apart.
+const AUTO_COLOR_FACTORS = [1, 1.5, 2, 4];
+
+// Path simplification autoTune() tries
+const AUTO_SIMPLIFY_STEPS = [0.5, 1, 2];
+
+// autoTune() keeps the smallest SVG whose error is at most this factor
+// of the lowest candidate error, plus the margin
+const AUTO_ERROR_SLACK = 1.15;
+const AUTO_ERROR_MARGIN = 0.5;
+
+// SSIM window (Gaussian sigma and radius) and stabilizing constants for
+// 8-bit values, as in Wang et al. 2004
+const SSIM_SIGMA = 1.5;
+const SSIM_RADIUS = 5;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// CIEDE2000 difference that fidelityHeatmap() shows at full heat
+const HEATMAP_MAX_DELTA_E = 10;
+
+// Background detection groups border colors in bins of this many bits per
+// channel, so that slight noise or JPEG artifacts count as one color
+const BACKGROUND_BITS = 4;
+
+// Share of memoryLimit the background runs of a tiled trace may take, and
+// the bytes each run takes, counting the copy made while its arrays grow
+const BACKGROUND_MEMORY_SHARE = 0.25;
+const BACKGROUND_RUN_BYTES = 32;
+
+// Side of the square cells hybrid mode sorts into flat and photographic
+const HYBRID_CELL_SIZE = 16;
+
+// Fewest cells a photographic region needs to be embedded. Smaller ones,
+// usually busy edges in flat art, are traced.
+const HYBRID_MIN_CELLS = 8;
+
+// Turns sharper than this (cosine of the angle) are kept as corners
+const CORNER_COS = Math.cos(Math.PI / 3);
+
+// Most distinct colors the pixelart and posterize trace modes keep exactly.
+// Photos have far more, and mapping them to an exact palette would take
+// too long.
+const EXACT_MAX_COLORS = 1024;
+
+// Posterize levels per channel
+const POSTERIZE_MIN_LEVELS = 2;
+const POSTERIZE_MAX_LEVELS = 16;
+
+/**
+ * Round a coordinate to `precision` decimals without trailing zeros
+ */
+function formatCoord(value, precision = 1) {
+    const scale = 10 ** precision;
+    return String(Math.round(value * scale) / scale);
+}
+
+/**
+ * Unit vector pointing from a to b
+ */
+function unitVector(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: dx / length, y: dy / length };
+}
+
+/**
+ * Distance from point p to the segment a-b
+ */
+function segmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Evaluate a Bezier curve of any degree at t (de Casteljau)
+ */
+function bezierPoint(ctrl, t) {
+    const pts = ctrl.map(p => ({ x: p.x, y: p.y }));
+    for (let k = pts.length - 1; k > 0; k--) {
+        for (let i = 0; i < k; i++) {
+            pts[i].x += (pts[i + 1].x - pts[i].x) * t;
+            pts[i].y += (pts[i + 1].y - pts[i].y) * t;
+        }
+    }
+    return pts[0];
+}
+
+/**
+ * Control points of the derivative of a Bezier curve
+ */
+function bezierDerivative(ctrl) {
+    const n = ctrl.length - 1;
+    const result = [];
+    for (let i = 0; i < n; i++) {
+        result.push({ x: n * (ctrl[i + 1].x - ctrl[i].x), y: n * (ctrl[i + 1].y - ctrl[i].y) });
+    }
+    return result;
+}
+
+/**
+ * Assign each point a curve parameter proportional to its arc length
+ */
+function chordLengthParams(points, first, last) {
+    const params = [0];
+    for (let i = first + 1; i <= last; i++) {
+        const prev = points[i - 1];
+        params.push(params[params.length - 1] + Math.hypot(points[i].x - prev.x, points[i].y - prev.y));
+    }
+    const total = params[params.length - 1] || 1;
+    return params.map(u => u / total);
+}
+
+/**
+ * Largest distance between the points and the curve, with its index
+ */
+function bezierError(points, first, last, ctrl, params) {
+    let maxDist = 0;
+    let worst = Math.floor((first + last) / 2);
+
+    for (let i = first + 1; i < last; i++) {
+        const q = bezierPoint(ctrl, params[i - first]);
+        const dist = Math.hypot(q.x - points[i].x, q.y - points[i].y);
+        if (dist > maxDist) {
+            maxDist = dist;
+            worst = i;
+        }
+    }
+
+    return [maxDist, worst];
+}
+
+/**
+ * Improve curve parameters with one Newton-Raphson step per point
+ */
+function reparameterize(points, first, last, ctrl, params) {
+    const d1 = bezierDerivative(ctrl);
+    const d2 = bezierDerivative(d1);
+
+    return params.map((u, k) => {
+        const p = points[first + k];
+        const q = bezierPoint(ctrl, u);
+        const q1 = bezierPoint(d1, u);
+        const q2 = d2.length > 1 ? bezierPoint(d2, u) : d2[0];
+        const numerator = (q.x - p.x) * q1.x + (q.y - p.y) * q1.y;
+        const denominator = q1.x * q1.x + q1.y * q1.y + (q.x - p.x) * q2.x + (q.y - p.y) * q2.y;
+        if (denominator === 0) return u;
+        return Math.max(0, Math.min(1, u - numerator / denominator));
+    });
+}
+
+/**
+ * Copy the RGBA pixels of rect out of a window of pixels; both are
+ * { x, y, width, height } in image coordinates and rect lies in window
+ */
+function cropPixels(data, window, rect) {
+    const result = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (let row = 0; row < rect.height; row++) {
+        const start = ((rect.y - window.y + row) * window.width + rect.x - window.x) * 4;
+        result.set(data.subarray(start, start + rect.width * 4), row * rect.width * 4);
+    }
+    return result;
+}
+
+/**
+ * Root of an element in a union-find forest, halving the path on the way
+ */
+function findRoot(parent, i) {
+    while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+    }
+    return i;
+}
+
+/**
+ * Copy rect out of an indexed window like cropPixels. Pixels of rect
+ * outside the window are transparent.
+ */
+function cropIndexed(indexed, window, rect) {
+    const result = new Int16Array(rect.width * rect.height).fill(-1);
+    for (let row = 0; row < rect.height; row++) {
+        const wy = rect.y + row - window.y;
+        if (wy < 0 || wy >= window.height) continue;
+        for (let col = 0; col < rect.width; col++) {
+            const wx = rect.x + col - window.x;
+            if (wx >= 0 && wx < window.width) {
+                result[row * rect.width + col] = indexed[wy * window.width + wx];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Order shared edges the way traceSharedEdges walks them: open edges by
+ * their first vertex and direction, then closed loops by their first vertex
+ */
+function compareEdges(a, b) {
+    return (a.closed - b.closed) || (a.from - b.from) || (a.firstDir - b.firstDir);
+}
+
+/**
+ * Convert an sRGB color to CIELAB (D65 white point)
+ */
+function rgbToLab(r, g, b) {
+    const lr = SRGB_TO_LINEAR[r];
+    const lg = SRGB_TO_LINEAR[g];
+    const lb = SRGB_TO_LINEAR[b];
+    const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+    const fy = f(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+    const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference between two Lab colors
+ */
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+    const rad = Math.PI / 180;
+    const C7 = ((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7;
+    const G = 0.5 * (1 - Math.sqrt(C7 / (C7 + 25 ** 7)));
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const h1p = C1p === 0 ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360;
+    const h2p = C2p === 0 ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360;
+    const chroma = C1p * C2p !== 0;
+
+    let dhp = 0;
+    if (chroma) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * rad / 2);
+
+    const Lp = (L1 + L2) / 2;
+    const Cp = (C1p + C2p) / 2;
+    let hp = h1p + h2p;
+    if (chroma) {
+        if (Math.abs(h1p - h2p) > 180) hp += hp < 360 ? 360 : -360;
+        hp /= 2;
+    }
+
+    const T = 1 - 0.17 * Math.cos((hp - 30) * rad) + 0.24 * Math.cos(2 * hp * rad) +
+        0.32 * Math.cos((3 * hp + 6) * rad) - 0.20 * Math.cos((4 * hp - 63) * rad);
+    const dTheta = 30 * Math.exp(-(((hp - 275) / 25) ** 2));
+    const Cp7 = Cp ** 7;
+    const Rc = 2 * Math.sqrt(Cp7 / (Cp7 + 25 ** 7));
+    const Sl = 1 + 0.015 * (Lp - 50) ** 2 / Math.sqrt(20 + (Lp - 50) ** 2);
+    const Sc = 1 + 0.045 * Cp;
+    const Sh = 1 + 0.015 * Cp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    const dL = dLp / Sl;
+    const dC = dCp / Sc;
+    const dH = dHp / Sh;
+    return Math.sqrt(dL * dL + dC * dC + dH * dH + Rt * dC * dH);
+}
+
+const RGB_AXES = [p => p.r, p => p.g, p => p.b, p => p.a];
+const LAB_AXES = [p => p.lab[0], p => p.lab[1], p => p.lab[2], p => p.a * LAB_ALPHA_SCALE];
+
+/**
+ * Color distance metrics over RGBA colors. `distance` compares two prepared
+ * colors as a squared distance (only the ordering matters), `axes` are the
+ * coordinates median cut splits along and `lab` marks metrics that need
+ * precomputed Lab values.
+ */
+const COLOR_METRICS = {
+    'rgb': {
+        lab: false,
+        axes: RGB_AXES,
+        distance: (p, q) => rgbaDistance(p, q)
+    },
+    // "Redmean" weighting, closer to perception than plain RGB at the same cost
+    'weighted-rgb': {
+        lab: false,
+        axes: [p => p.r * Math.SQRT2, p => p.g * 2, p => p.b * Math.sqrt(3), p => p.a * Math.sqrt(3)],
+        distance: (p, q) => {
+            const rmean = (p.r + q.r) / 2;
+            return (2 + rmean / 256) * (p.r - q.r) ** 2 + 4 * (p.g - q.g) ** 2 +
+                (2 + (255 - rmean) / 256) * (p.b - q.b) ** 2 + 3 * (p.a - q.a) ** 2;
+        }
+    },
+    'lab76': {
+        lab: true,
+        axes: LAB_AXES,
+        distance: (p, q) => (p.lab[0] - q.lab[0]) ** 2 + (p.lab[1] - q.lab[1]) ** 2 +
+            (p.lab[2] - q.lab[2]) ** 2 + ((p.a - q.a) * LAB_ALPHA_SCALE) ** 2
+    },
+    'ciede2000': {
+        lab: true,
+        axes: LAB_AXES,
+        distance: (p, q) => deltaE2000(p.lab, q.lab) ** 2 + ((p.a - q.a) * LAB_ALPHA_SCALE) ** 2
+    }
+};
+
+/**
+ * Squared distance between two RGBA colors
+ */
+function rgbaDistance(p, q) {
+    return (p.r - q.r) ** 2 + (p.g - q.g) ** 2 + (p.b - q.b) ** 2 + (p.a - q.a) ** 2;
+}
+
+/**
+ * Look up a color distance metric by name
+ */
+function getColorMetric(name = 'rgb') {
+    const metric = COLOR_METRICS[name];
+    if (!metric) {
+        throw new Error(`Unknown color distance: ${name}. Use one of: ${Object.keys(COLOR_METRICS).join(', ')}`);
+    }
+    return metric;
+}
+
+/**
+ * Attach the Lab coordinates a metric needs to a color
+ */
+function prepareColor(color, metric) {
+    if (!metric.lab) return color;
+    return { ...color, lab: rgbToLab(Math.round(color.r), Math.round(color.g), Math.round(color.b)) };
+}
+
+/**
+ * Parse one palette color: '#rgb', '#rrggbb' or an { r, g, b } object
+ */
+function parsePaletteColor(value) {
+    let r, g, b;
+
+    if (typeof value === 'object' && value !== null) {
+        ({ r, g, b } = value);
+    } else {
+        let hex = String(value).trim().replace(/^#/, '');
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        if (/^[0-9a-f]{6}$/i.test(hex)) {
+            r = parseInt(hex.slice(0, 2), 16);
+            g = parseInt(hex.slice(2, 4), 16);
+            b = parseInt(hex.slice(4, 6), 16);
+        }
+    }
+
+    if (![r, g, b].every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+        throw new Error(`Invalid palette color: ${JSON.stringify(value)}`);
+    }
+
+    const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+    return { r, g, b, hex };
+}
+
+/**
+ * Parse a fixed color palette.
+ * Accepts an array of colors, a comma separated list of hex colors,
+ * JSON (an array, or an object with a `colors` array) or a GIMP .gpl palette.
+ * @returns {Array<{r: number, g: number, b: number, hex: string}>}
+ */
+export function parsePalette(input) {
+    let colors = input;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+
+        if (text.startsWith('GIMP Palette')) {
+            colors = text.split(/\r?\n/).slice(1)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#') && !/^(Name|Columns):/.test(line))
+                .map(line => {
+                    const [r, g, b] = line.split(/\s+/).map(Number);
+                    return { r, g, b };
+                });
+        } else if (text.startsWith('[') || text.startsWith('{')) {
+            const json = JSON.parse(text);
+            colors = Array.isArray(json) ? json : json.colors;
+        } else {
+            colors = text.split(/[\s,;]+/).filter(Boolean);
+        }
+    }
+
+    if (!Array.isArray(colors) || colors.length === 0) {
+        throw new Error('Palette has no colors');
+    }
+
+    return colors.map(parsePaletteColor);
+}
+
+/**
+ * RGB of an RGBA pixel shown over white, rounded to 8 bits
+ */
+function overWhite(data, i) {
+    const alpha = data[i + 3] / 255;
+    return [
+        Math.round(data[i] * alpha + 255 * (1 - alpha)),
+        Math.round(data[i + 1] * alpha + 255 * (1 - alpha)),
+        Math.round(data[i + 2] * alpha + 255 * (1 - alpha))
+    ];
+}
+
+/**
+ * CIEDE2000 difference of each pixel of two RGBA images, shown over white
+ */
+function deltaEMap(a, b, pixels) {
+    const result = new Float64Array(pixels);
+    for (let p = 0; p < pixels; p++) {
+        result[p] = deltaE2000(rgbToLab(...overWhite(a, p * 4)), rgbToLab(...overWhite(b, p * 4)));
+    }
+    return result;
+}
+
+/**
+ * Mean structural similarity of two luma planes, over a Gaussian window
+ * clamped at the image edges
+ */
+function meanSSIM(x, y, width, height) {
+    const size = SSIM_RADIUS * 2 + 1;
+    const kernel = new Float64Array(size);
+    let total = 0;
+    for (let k = 0; k < size; k++) {
+        kernel[k] = Math.exp(-((k - SSIM_RADIUS) ** 2) / (2 * SSIM_SIGMA * SSIM_SIGMA));
+        total += kernel[k];
+    }
+    for (let k = 0; k < size; k++) kernel[k] /= total;
+
+    // Local weighted mean of a plane, as a horizontal and a vertical pass
+    const smooth = (plane) => {
+        const horizontal = new Float64Array(plane.length);
+        for (let row = 0; row < plane.length; row += width) {
+            for (let px = 0; px < width; px++) {
+                let sum = 0;
+                for (let k = 0; k < size; k++) {
+                    sum += plane[row + Math.min(width - 1, Math.max(0, px + k - SSIM_RADIUS))] * kernel[k];
+                }
+                horizontal[row + px] = sum;
+            }
+        }
+        const result = new Float64Array(plane.length);
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                let sum = 0;
+                for (let k = 0; k < size; k++) {
+                    sum += horizontal[Math.min(height - 1, Math.max(0, py + k - SSIM_RADIUS)) * width + px] * kernel[k];
+                }
+                result[py * width + px] = sum;
+            }
+        }
+        return result;
+    };
+
+    const meanX = smooth(x);
+    const meanY = smooth(y);
+    const squaresX = smooth(x.map(v => v * v));
+    const squaresY = smooth(y.map(v => v * v));
+    const products = smooth(x.map((v, i) => v * y[i]));
+
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+        const mx = meanX[i];
+        const my = meanY[i];
+        const covariance = products[i] - mx * my;
+        sum += ((2 * mx * my + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+            ((mx * mx + my * my + SSIM_C1) * (squaresX[i] - mx * mx + squaresY[i] - my * my + SSIM_C2));
+    }
+    return sum / x.length;
+}
+
+/**
+ * How faithfully `rendered` reproduces `source`, both RGBA images of the
+ * same size, shown over white: PSNR in dB over the RGB channels (Infinity
+ * when they match), mean SSIM of their luma and the mean, 95th percentile
+ * and largest CIEDE2000 difference of their pixels
+ */
+export function measureFidelity(source, rendered, width, height) {
+    const pixels = width * height;
+    const lumaSource = new Float64Array(pixels);
+    const lumaRendered = new Float64Array(pixels);
+    let squared = 0;
+    for (let p = 0; p < pixels; p++) {
+        const a = overWhite(source, p * 4);
+        const b = overWhite(rendered, p * 4);
+        squared += (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+        lumaSource[p] = 0.299 * a[0] + 0.587 * a[1] + 0.114 * a[2];
+        lumaRendered[p] = 0.299 * b[0] + 0.587 * b[1] + 0.114 * b[2];
+    }
+
+    const deltaE = deltaEMap(source, rendered, pixels);
+    const sorted = deltaE.slice().sort();
+    const mse = squared / (pixels * 3);
+
+    return {
+        psnr: mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse),
+        ssim: meanSSIM(lumaSource, lumaRendered, width, height),
+        deltaE: {
+            mean: deltaE.reduce((sum, v) => sum + v, 0) / pixels,
+            p95: sorted[Math.min(pixels - 1, Math.floor(pixels * 0.95))],
+            max: sorted[pixels - 1]
+        }
+    };
+}
+
+/**
+ * Heatmap of the CIEDE2000 difference between two RGBA images of the same
+ * size: black where they match, through red and yellow to white at
+ * HEATMAP_MAX_DELTA_E and above. Returns opaque RGBA pixels.
+ */
+export function fidelityHeatmap(source, rendered, width, height) {
+    const deltaE = deltaEMap(source, rendered, width * height);
+    const result = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < deltaE.length; p++) {
+        const heat = Math.min(1, deltaE[p] / HEATMAP_MAX_DELTA_E) * 3;
+        result[p * 4] = Math.round(Math.min(1, heat) * 255);
+        result[p * 4 + 1] = Math.round(Math.min(1, Math.max(0, heat - 1)) * 255);
+        result[p * 4 + 2] = Math.round(Math.min(1, Math.max(0, heat - 2)) * 255);
+        result[p * 4 + 3] = 255;
+    }
+    return result;
+}
+
+/**
+ * Image tracer - converts raw RGBA pixels to vector paths
+ */
+export class ImageTracer {
+    constructor(options = {}) {
+        this.options = {
+            colorCount: options.colorCount || 16,
+            threshold: options.threshold || 128,
+            thresholdMethod: options.thresholdMethod || 'fixed',
+            thresholdWindow: options.thresholdWindow || 31,
+            blurRadius: options.blurRadius || 0,
+            denoise: options.denoise || 'none',
+            denoiseRadius: options.denoiseRadius || 1,
+            pathSimplify: options.pathSimplify || 1,
+            coordinatePrecision: options.coordinatePrecision ?? 1,
+            curveTolerance: options.curveTolerance ?? 1,
+            curveType: options.curveType || 'cubic',
+            rightAngleEnhance: options.rightAngleEnhance ?? true,
+            traceMode: options.traceMode || 'color',
+            traceStyle: options.traceStyle || 'contour',
+            posterizeLevels: options.posterizeLevels || 4,
+            posterizeLuminance: options.posterizeLuminance || false,
+            quantizer: options.quantizer || 'median-cut',
+            colorQuantCycles: options.colorQuantCycles ?? 3,
+            colorDistance: options.colorDistance || 'rgb',
+            palette: options.palette || null,
+            despeckle: options.despeckle || 0,
+            layering: options.layering || 'cutout',
+            layerOrder: options.layerOrder || 'area',
+            gradients: options.gradients || false,
+            pixelScale: options.pixelScale || 1,
+            pixelGrid: options.pixelGrid || false,
+            gradientTolerance: options.gradientTolerance || 6,
+            alphaCutoff: options.alphaCutoff ?? 128,
+            hybridThreshold: options.hybridThreshold ?? 4,
+            removeBg: options.removeBg || false,
+            bgTolerance: options.bgTolerance ?? 20,
+            tileSize: options.tileSize || 0,
+            memoryLimit: options.memoryLimit || 0,
+            addViewBox: options.addViewBox ?? true,
+            preserveMetadata: options.preserveMetadata || false,
+            onProgress: options.onProgress || null
+        };
+    }
+
+    /**
+     * Quantize colors using median cut. Colors carry a pixel count, so a
+     * histogram stands in for the pixels. Coordinates live in one typed
+     * array; each split sorts only the bucket it cuts, at its weighted median.
+     */
+    quantizeColors(colors, numColors, axes = RGB_AXES) {
+        if (colors.length === 0 || numColors < 1) {
+            return [{ r: 128, g: 128, b: 128, a: 255, count: 0 }];
+        }
+
+        const dims = axes.length;
+        const coords = new Float64Array(colors.length * dims);
+        colors.forEach((color, i) => {
+            for (let d = 0; d < dims; d++) coords[i * dims + d] = axes[d](color);
+        });
+        const order = Uint32Array.from(colors, (_, i) => i);
+
+        // A bucket is a slice of order with the axis it spans the most
+        const measure = (start, end) => {
+            let range = 0;
+            let axis = 0;
+            for (let d = 0; d < dims; d++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let i = start; i < end; i++) {
+                    const value = coords[order[i] * dims + d];
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+                if (max - min > range) {
+                    range = max - min;
+                    axis = d;
+                }
+            }
+            return { start, end, range, axis };
+        };
+
+        const buckets = [measure(0, colors.length)];
+
+        while (buckets.length < numColors) {
+            // Find bucket with largest range
+            let widest = 0;
+            for (let i = 1; i < buckets.length; i++) {
+                if (buckets[i].range > buckets[widest].range) widest = i;
+            }
+
+            const { start, end, range, axis } = buckets[widest];
+            if (range === 0) break;
+
+            // Split the bucket where half of its pixels are on either side
+            order.subarray(start, end).sort((a, b) => coords[a * dims + axis] - coords[b * dims + axis]);
+            let total = 0;
+            for (let i = start; i < end; i++) total += colors[order[i]].count;
+
+            let mid = start + 1;
+            let below = colors[order[start]].count;
+            while (mid < end - 1 && below < total / 2) {
+                below += colors[order[mid++]].count;
+            }
+            buckets.splice(widest, 1, measure(start, mid), measure(mid, end));
+        }
+
+        // Calculate average color for each bucket
+        return buckets.map(({ start, end }) => {
+            let r = 0, g = 0, b = 0, a = 0, count = 0;
+            for (let i = start; i < end; i++) {
+                const color = colors[order[i]];
+                r += color.r * color.count;
+                g += color.g * color.count;
+                b += color.b * color.count;
+                a += color.a * color.count;
+                count += color.count;
+            }
+
+            return {
+                r: Math.round(r / count),
+                g: Math.round(g / count),
+                b: Math.round(b / count),
+                a: Math.round(a / count),
+                count
+            };
+        });
+    }
+
+    /**
+     * Refine a palette with k-means cycles over colors weighted by their
+     * pixel count. Empty and near-duplicate clusters, or the cheapest
+     * cluster to merge when a distinct accent color has no slot, are moved
+     * to the worst-matched color.
+     * Colors join the nearest center by the given metric; the empty, duplicate
+     * and accent checks stay in RGBA.
+     */
+    refineKMeans(colors, palette, cycles, metric = COLOR_METRICS.rgb) {
+        if (colors.length === 0 || palette.length === 0) return palette;
+
+        const centers = palette.map(c => prepareColor({ r: c.r, g: c.g, b: c.b, a: c.a }, metric));
+        const k = centers.length;
+        const totalPixels = colors.reduce((sum, c) => sum + c.count, 0);
+        const minAccentPixels = Math.max(4, totalPixels * 0.001);
+        let counts = new Float64Array(k);
+
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            const sums = new Float64Array(k * 4);
+            counts = new Float64Array(k);
+            let worstDist = -1;
+            let worstColor = 0;
+
+            for (let i = 0; i < colors.length; i++) {
+                const p = colors[i];
+                let minDist = Infinity;
+                let nearest = 0;
+
+                for (let j = 0; j < k; j++) {
+                    const dist = metric.distance(p, centers[j]);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        nearest = j;
+                    }
+                }
+
+                const rgbaDist = rgbaDistance(p, centers[nearest]);
+                sums[nearest * 4] += p.r * p.count;
+                sums[nearest * 4 + 1] += p.g * p.count;
+                sums[nearest * 4 + 2] += p.b * p.count;
+                sums[nearest * 4 + 3] += p.a * p.count;
+                counts[nearest] += p.count;
+
+                if (rgbaDist > worstDist) {
+                    worstDist = rgbaDist;
+                    worstColor = i;
+                }
+            }
+
+            let moved = false;
+            for (let j = 0; j < k; j++) {
+                if (counts[j] > 0) {
+                    const r = sums[j * 4] / counts[j];
+                    const g = sums[j * 4 + 1] / counts[j];
+                    const b = sums[j * 4 + 2] / counts[j];
+                    const a = sums[j * 4 + 3] / counts[j];
+                    moved = moved || Math.abs(r - centers[j].r) + Math.abs(g - centers[j].g) +
+                        Math.abs(b - centers[j].b) + Math.abs(a - centers[j].a) > 0.5;
+                    centers[j] = prepareColor({ r, g, b, a }, metric);
+                }
+            }
+
+            let wasted = this.findWastedCluster(centers, counts);
+            const worst = colors[worstColor];
+
+            if (wasted === -1 && worstDist > KMEANS_ACCENT_DIST) {
+                // Only colors backed by enough pixels count as accents
+                let support = 0;
+                for (let i = 0; i < colors.length && support < minAccentPixels; i++) {
+                    const p = colors[i];
+                    if (rgbaDistance(p, worst) * 4 < KMEANS_ACCENT_DIST) support += p.count;
+                }
+                if (support >= minAccentPixels) {
+                    wasted = this.findCheapestMerge(centers, counts);
+                }
+            }
+
+            if (wasted !== -1 && worstDist > KMEANS_DUPLICATE_DIST) {
+                centers[wasted] = prepareColor({ r: worst.r, g: worst.g, b: worst.b, a: worst.a }, metric);
+                moved = true;
+            }
+
+            if (!moved) break;
+        }
+
+        return centers.map((c, j) => ({
+            r: Math.round(c.r),
+            g: Math.round(c.g),
+            b: Math.round(c.b),
+            a: Math.round(c.a),
+            count: counts[j]
+        })).filter(c => c.count > 0);
+    }
+
+    /**
+     * Find a k-means cluster that is empty or a near-duplicate of another
+     */
+    findWastedCluster(centers, counts) {
+        for (let j = 0; j < centers.length; j++) {
+            if (counts[j] === 0) return j;
+        }
+
+        let wasted = -1;
+        for (let a = 0; a < centers.length; a++) {
+            for (let b = a + 1; b < centers.length; b++) {
+                const dist = rgbaDistance(centers[a], centers[b]);
+                if (dist < KMEANS_DUPLICATE_DIST) {
+                    const smaller = counts[a] < counts[b] ? a : b;
+                    if (wasted === -1 || counts[smaller] < counts[wasted]) wasted = smaller;
+                }
+            }
+        }
+
+        return wasted;
+    }
+
+    /**
+     * Find the cluster whose merge into its neighbor adds the least error
+     * (Ward's criterion)
+     */
+    findCheapestMerge(centers, counts) {
+        let cheapest = -1;
+        let minCost = Infinity;
+
+        for (let a = 0; a < centers.length; a++) {
+            for (let b = a + 1; b < centers.length; b++) {
+                const dist = rgbaDistance(centers[a], centers[b]);
+                const cost = counts[a] * counts[b] / (counts[a] + counts[b]) * dist;
+                if (cost < minCost) {
+                    minCost = cost;
+                    cheapest = counts[a] < counts[b] ? a : b;
+                }
+            }
+        }
+
+        return cheapest;
+    }
+
+    /**
+     * Quantize colors with an octree, folding the least used branches
+     * until the requested number of colors remains. Alpha splits each node
+     * too, so every node has up to 16 children. Colors are weighted by their
+     * pixel count.
+     */
+    octreeQuantize(colors, numColors) {
+        if (colors.length === 0 || numColors < 1) {
+            return [{ r: 128, g: 128, b: 128, a: 255, count: 0 }];
+        }
+
+        const newNode = (level) => ({ r: 0, g: 0, b: 0, a: 0, count: 0, level, children: null });
+        const root = newNode(0);
+        const levels = Array.from({ length: OCTREE_DEPTH }, () => []);
+        let leafCount = 0;
+
+        for (const p of colors) {
+            let node = root;
+            for (let level = 0; level < OCTREE_DEPTH; level++) {
+                const shift = 7 - level;
+                const idx = (((p.a >> shift) & 1) << 3) | (((p.r >> shift) & 1) << 2) |
+                    (((p.g >> shift) & 1) << 1) | ((p.b >> shift) & 1);
+                if (!node.children) {
+                    node.children = new Array(16).fill(null);
+                    levels[level].push(node);
+                }
+                if (!node.children[idx]) {
+                    node.children[idx] = newNode(level + 1);
+                    if (level + 1 === OCTREE_DEPTH) leafCount++;
+                }
+                node = node.children[idx];
+            }
+            node.r += p.r * p.count;
+            node.g += p.g * p.count;
+            node.b += p.b * p.count;
+            node.a += p.a * p.count;
+            node.count += p.count;
+        }
+
+        // Fold a node's children into it, deepest and least used first
+        const fold = (node) => {
+            let folded = 0;
+            for (const child of node.children) {
+                if (!child) continue;
+                if (child.children) fold(child);
+                node.r += child.r;
+                node.g += child.g;
+                node.b += child.b;
+                node.a += child.a;
+                node.count += child.count;
+                folded++;
+            }
+            node.children = null;
+            return folded;
+        };
+
+        for (let level = OCTREE_DEPTH - 1; level >= 0 && leafCount > numColors; level--) {
+            const nodes = levels[level]
+                .filter(node => node.children)
+                .map(node => ({ node, count: this.countOctreePixels(node) }))
+                .sort((a, b) => a.count - b.count);
+
+            for (const { node } of nodes) {
+                if (leafCount <= numColors) break;
+                leafCount -= fold(node) - 1;
+            }
+        }
+
+        const palette = [];
+        const collect = (node) => {
+            if (!node.children) {
+                if (node.count > 0) {
+                    palette.push({
+                        r: Math.round(node.r / node.count),
+                        g: Math.round(node.g / node.count),
+                        b: Math.round(node.b / node.count),
+                        a: Math.round(node.a / node.count),
+                        count: node.count
+                    });
+                }
+                return;
+            }
+            node.children.forEach(child => child && collect(child));
+        };
+        collect(root);
+
+        return palette;
+    }
+
+    /**
+     * Count the pixels below an octree node
+     */
+    countOctreePixels(node) {
+        if (!node.children) return node.count;
+        return node.children.reduce((sum, child) => sum + (child ? this.countOctreePixels(child) : 0), 0);
+    }
+
+    /**
+     * Bin the pixels at least alphaCutoff opaque into a histogram with
+     * HISTOGRAM_BITS per RGBA channel. Returns the mean color and pixel
+     * count of each occupied bin, in bin order.
+     */
+    colorHistogram(data, alphaCutoff) {
+        const histogram = this.createColorHistogram();
+        this.addToHistogram(histogram, data, alphaCutoff);
+        return this.histogramColors(histogram);
+    }
+
+    /**
+     * An empty color histogram for addToHistogram
+     */
+    createColorHistogram() {
+        return {
+            bins: new Int32Array(1 << (HISTOGRAM_BITS * 4)).fill(-1),
+            sums: new Float64Array(1024 * 5),
+            used: 0
+        };
+    }
+
+    /**
+     * Count pixels into a histogram, which can gather several images
+     * (such as the tiles of one) before histogramColors reads it
+     */
+    addToHistogram(histogram, data, alphaCutoff) {
+        const shift = 8 - HISTOGRAM_BITS;
+        const { bins } = histogram;
+        let { sums, used } = histogram;
+
+        for (let i = 0; i < data.length; i += 4) {
+            const a = data[i + 3];
+            if (a < alphaCutoff) continue;
+
+            const key = ((data[i] >> shift) << (HISTOGRAM_BITS * 3)) |
+                ((data[i + 1] >> shift) << (HISTOGRAM_BITS * 2)) |
+                ((data[i + 2] >> shift) << HISTOGRAM_BITS) | (a >> shift);
+            let bin = bins[key];
+            if (bin === -1) {
+                if (used * 5 === sums.length) {
+                    const grown = new Float64Array(sums.length * 2);
+                    grown.set(sums);
+                    sums = grown;
+                }
+                bin = bins[key] = used++;
+            }
+
+            const j = bin * 5;
+            sums[j] += data[i];
+            sums[j + 1] += data[i + 1];
+            sums[j + 2] += data[i + 2];
+            sums[j + 3] += a;
+            sums[j + 4]++;
+        }
+
+        histogram.sums = sums;
+        histogram.used = used;
+    }
+
+    /**
+     * The mean color and pixel count of each occupied histogram bin, in
+     * bin order, so the order pixels were counted in makes no difference
+     */
+    histogramColors({ bins, sums }) {
+        const colors = [];
+        for (let key = 0; key < bins.length; key++) {
+            if (bins[key] === -1) continue;
+            const j = bins[key] * 5;
+            const count = sums[j + 4];
+            colors.push({
+                r: sums[j] / count,
+                g: sums[j + 1] / count,
+                b: sums[j + 2] / count,
+                a: sums[j + 3] / count,
+                count
+            });
+        }
+        return colors;
+    }
+
+    /**
+     * Find color palette from image data
+     */
+    getPalette(data, width, height, numColors, opts = this.options) {
+        return this.quantizeHistogram(this.colorHistogram(data, opts.alphaCutoff), numColors, opts);
+    }
+
+    /**
+     * Reduce histogram colors to a palette with the configured quantizer
+     */
+    quantizeHistogram(colors, numColors, opts = this.options) {
+        const metric = getColorMetric(opts.colorDistance);
+
+        // Convert each histogram color to Lab only once
+        if (metric.lab) {
+            colors = colors.map(color => prepareColor(color, metric));
+        }
+
+        // The octree always splits RGBA space
+        switch (opts.quantizer) {
+            case 'octree':
+                return this.octreeQuantize(colors, numColors);
+            case 'kmeans':
+                return this.refineKMeans(
+                    colors,
+                    this.quantizeColors(colors, numColors, metric.axes),
+                    opts.colorQuantCycles,
+                    metric
+                );
+            default:
+                return this.quantizeColors(colors, numColors, metric.axes);
+        }
+    }
+
+    /**
+     * Map each pixel to nearest palette color by the given metric.
+     * Pixels less opaque than alphaCutoff become transparent.
+     * Each distinct color is matched once and cached.
+     */
+    mapToPalette(data, palette, metric = COLOR_METRICS.rgb, alphaCutoff = 128) {
+        const indexed = new Int16Array(data.length / 4);
+        const targets = palette.map(c => prepareColor(c, metric));
+        const cache = new Map();
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const a = data[i + 3];
+
+            if (a < alphaCutoff) {
+                indexed[i / 4] = -1; // Transparent
+                continue;
+            }
+
+            const key = ((r << 16) | (g << 8) | b) * 256 + a;
+            let nearest = cache.get(key);
+
+            if (nearest === undefined) {
+                // Find nearest color
+                const pixel = prepareColor({ r, g, b, a }, metric);
+                let minDist = Infinity;
+                nearest = 0;
+
+                for (let j = 0; j < targets.length; j++) {
+                    const dist = metric.distance(pixel, targets[j]);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        nearest = j;
+                    }
+                }
+
+                cache.set(key, nearest);
+            }
+
+            indexed[i / 4] = nearest;
+        }
+
+        return indexed;
+    }
+
+    /**
+     * Merge connected regions smaller than minArea pixels into the neighbor
+     * they share the longest border with. Smallest regions merge first, so
+     * clusters of specks collapse together. Transparent regions are kept.
+     */
+    despeckle(indexed, width, height, minArea) {
+        if (minArea <= 1) return indexed;
+
+        const { labels, colors, areas } = this.labelRegions(indexed, width);
+
+        // Count border edges shared by each pair of regions
+        const borders = colors.map(() => new Map());
+        const addBorder = (a, b) => {
+            borders[a].set(b, (borders[a].get(b) || 0) + 1);
+            borders[b].set(a, (borders[b].get(a) || 0) + 1);
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x < width - 1 && labels[i] !== labels[i + 1]) addBorder(labels[i], labels[i + 1]);
+                if (y < height - 1 && labels[i] !== labels[i + width]) addBorder(labels[i], labels[i + width]);
+            }
+        }
+
+        // Merge small regions, smallest first
+        const parent = colors.map((_, label) => label);
+        const small = colors
+            .map((_, label) => label)
+            .filter(label => areas[label] < minArea && colors[label] !== -1)
+            .sort((a, b) => areas[a] - areas[b]);
+
+        for (const label of small) {
+            if (areas[label] >= minArea) continue;
+
+            // Gather borders by current region, since neighbors may have merged
+            const shared = new Map();
+            for (const [neighbor, length] of borders[label]) {
+                const root = findRoot(parent, neighbor);
+                if (root !== label) shared.set(root, (shared.get(root) || 0) + length);
+            }
+
+            let target = -1;
+            for (const [root, length] of shared) {
+                if (target === -1 || length > shared.get(target) ||
+                    (length === shared.get(target) && areas[root] > areas[target])) {
+                    target = root;
+                }
+            }
+            if (target === -1) continue;
+
+            parent[label] = target;
+            areas[target] += areas[label];
+            for (const [root, length] of shared) {
+                if (root !== target) borders[target].set(root, (borders[target].get(root) || 0) + length);
+            }
+        }
+
+        const result = new Int16Array(indexed.length);
+        for (let i = 0; i < indexed.length; i++) {
+            result[i] = colors[findRoot(parent, labels[i])];
+        }
+        return result;
+    }
+
+    /**
+     * Merge adjacent opaque regions whose shared border is soft in the source
+     * image (the banding of a smooth ramp, not a real edge) and fill each merged
+     * group with a linear or radial gradient when one fits its pixels.
+     * Groups become new palette entries carrying their gradient.
+     */
+    detectGradients(data, indexed, width, height, palette, opts) {
+        const { labels, colors } = this.labelRegions(indexed, width);
+        const parent = colors.map((_, label) => label);
+
+        // Average color step across each border between two regions
+        const steps = new Map();
+        const addStep = (i, j) => {
+            const a = labels[i];
+            const b = labels[j];
+            if (a === b || colors[a] === -1 || colors[b] === -1) return;
+            if (palette[colors[a]].a < 255 || palette[colors[b]].a < 255) return;
+
+            const key = a < b ? a * colors.length + b : b * colors.length + a;
+            const step = Math.max(
+                Math.abs(data[i * 4] - data[j * 4]),
+                Math.abs(data[i * 4 + 1] - data[j * 4 + 1]),
+                Math.abs(data[i * 4 + 2] - data[j * 4 + 2])
+            );
+            const entry = steps.get(key) || { a, b, sum: 0, count: 0 };
+            entry.sum += step;
+            entry.count++;
+            steps.set(key, entry);
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (x < width - 1) addStep(i, i + 1);
+                if (y < height - 1) addStep(i, i + width);
+            }
+        }
+
+        for (const { a, b, sum, count } of steps.values()) {
+            if (sum / count <= GRADIENT_SOFT_STEP) parent[findRoot(parent, a)] = findRoot(parent, b);
+        }
+
+        // Collect the pixels of groups spanning more than one region
+        const groups = new Map();
+        const regionCounts = new Map();
+        colors.forEach((color, label) => {
+            if (color === -1) return;
+            const root = findRoot(parent, label);
+            regionCounts.set(root, (regionCounts.get(root) || 0) + 1);
+        });
+        for (let i = 0; i < labels.length; i++) {
+            const root = findRoot(parent, labels[i]);
+            if (regionCounts.get(root) > 1) {
+                if (!groups.has(root)) groups.set(root, []);
+                groups.get(root).push(i);
+            }
+        }
+
+        const result = new Int16Array(indexed);
+        const extended = palette.slice();
+
+        for (const pixels of groups.values()) {
+            if (pixels.length < GRADIENT_MIN_AREA) continue;
+
+            const gradient = this.fitGradient(data, pixels, width, opts.gradientTolerance);
+            if (!gradient) continue;
+
+            const colorIdx = extended.length;
+            const mid = gradient.stops[Math.floor(gradient.stops.length / 2)];
+            extended.push({ r: mid.r, g: mid.g, b: mid.b, a: 255, gradient });
+            for (const i of pixels) result[i] = colorIdx;
+        }
+
+        return { indexed: result, palette: extended };
+    }
+
+    /**
+     * Fit a linear or radial gradient to a group of pixels. Colors are
+     * averaged in bands along the gradient to form its stops. Returns null
+     * when neither shape is within the tolerance (RMS error per channel)
+     * or the pixels barely change color.
+     */
+    fitGradient(data, pixels, width, tolerance) {
+        const n = pixels.length;
+        const xs = new Float64Array(n);
+        const ys = new Float64Array(n);
+        let mx = 0, my = 0;
+        const mean = [0, 0, 0];
+
+        for (let k = 0; k < n; k++) {
+            const i = pixels[k];
+            xs[k] = i % width + 0.5;
+            ys[k] = Math.floor(i / width) + 0.5;
+            mx += xs[k];
+            my += ys[k];
+            for (let c = 0; c < 3; c++) mean[c] += data[i * 4 + c];
+        }
+        mx /= n;
+        my /= n;
+        for (let c = 0; c < 3; c++) mean[c] /= n;
+
+        // Least-squares color slope per channel gives the ramp direction
+        let sxx = 0, sxy = 0, syy = 0;
+        const sxc = [0, 0, 0];
+        const syc = [0, 0, 0];
+        for (let k = 0; k < n; k++) {
+            const dx = xs[k] - mx;
+            const dy = ys[k] - my;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+            for (let c = 0; c < 3; c++) {
+                const dc = data[pixels[k] * 4 + c] - mean[c];
+                sxc[c] += dx * dc;
+                syc[c] += dy * dc;
+            }
+        }
+        const det = sxx * syy - sxy * sxy;
+        if (det === 0) return null;
+
+        let jxx = 0, jxy = 0, jyy = 0;
+        for (let c = 0; c < 3; c++) {
+            const gx = (sxc[c] * syy - syc[c] * sxy) / det;
+            const gy = (syc[c] * sxx - sxc[c] * sxy) / det;
+            jxx += gx * gx;
+            jxy += gx * gy;
+            jyy += gy * gy;
+        }
+        // Principal direction of the slopes
+        const angle = Math.atan2(2 * jxy, jxx - jyy) / 2;
+        const ux = Math.cos(angle);
+        const uy = Math.sin(angle);
+
+        const candidates = [];
+        const linear = new Float64Array(n);
+        for (let k = 0; k < n; k++) linear[k] = (xs[k] - mx) * ux + (ys[k] - my) * uy;
+        candidates.push({ type: 'linear', t: linear });
+
+        // A radial ramp is centered on its lightest or darkest pixels
+        let light = 0, dark = 0;
+        const luminance = (k) => 0.299 * data[pixels[k] * 4] + 0.587 * data[pixels[k] * 4 + 1] + 0.114 * data[pixels[k] * 4 + 2];
+        for (let k = 1; k < n; k++) {
+            if (luminance(k) > luminance(light)) light = k;
+            if (luminance(k) < luminance(dark)) dark = k;
+        }
+        for (const k of [light, dark]) {
+            const t = new Float64Array(n);
+            for (let j = 0; j < n; j++) t[j] = Math.hypot(xs[j] - xs[k], ys[j] - ys[k]);
+            candidates.push({ type: 'radial', t, cx: xs[k], cy: ys[k] });
+        }
+
+        let best = null;
+        for (const candidate of candidates) {
+            const fit = this.gradientStops(data, pixels, candidate.t, tolerance);
+            if (fit && (!best || fit.error < best.fit.error)) best = { candidate, fit };
+        }
+        if (!best || best.fit.error > tolerance) return null;
+
+        const { candidate, fit } = best;
+        const first = fit.stops[0];
+        const last = fit.stops[fit.stops.length - 1];
+        const contrast = Math.max(...fit.stops.map(s =>
+            Math.max(Math.abs(s.r - first.r), Math.abs(s.g - first.g), Math.abs(s.b - first.b))));
+        if (contrast < GRADIENT_MIN_CONTRAST) return null;
+
+        const stops = fit.stops.map(s => ({
+            offset: (s.t - first.t) / (last.t - first.t),
+            r: Math.round(s.r),
+            g: Math.round(s.g),
+            b: Math.round(s.b)
+        }));
+
+        if (candidate.type === 'radial') {
+            return { type: 'radial', cx: candidate.cx, cy: candidate.cy, r: last.t, stops: [
+                // Stops of a radial gradient start at its center
+                ...(first.t > 0 ? [{ ...stops[0], offset: 0 }] : []),
+                ...stops.map(s => ({ ...s, offset: (first.t + s.offset * (last.t - first.t)) / last.t }))
+            ] };
+        }
+
+        return {
+            type: 'linear',
+            x1: mx + ux * first.t,
+            y1: my + uy * first.t,
+            x2: mx + ux * last.t,
+            y2: my + uy * last.t,
+            stops
+        };
+    }
+
+    /**
+     * Average pixel colors in bands of the gradient parameter t and keep
+     * the bands needed to follow the ramp. Returns the stops (with their t)
+     * and the RMS error per channel of interpolating between them.
+     */
+    gradientStops(data, pixels, t, tolerance) {
+        let tMin = Infinity, tMax = -Infinity;
+        for (const v of t) {
+            if (v < tMin) tMin = v;
+            if (v > tMax) tMax = v;
+        }
+        if (tMax - tMin < 2) return null;
+
+        const bins = Math.min(GRADIENT_MAX_BANDS, Math.ceil(tMax - tMin));
+        const sums = new Float64Array(bins * 5);
+        const binOf = (v) => Math.min(bins - 1, Math.floor((v - tMin) / (tMax - tMin) * bins));
+
+        for (let k = 0; k < pixels.length; k++) {
+            const b = binOf(t[k]) * 5;
+            sums[b] += t[k];
+            sums[b + 1] += data[pixels[k] * 4];
+            sums[b + 2] += data[pixels[k] * 4 + 1];
+            sums[b + 3] += data[pixels[k] * 4 + 2];
+            sums[b + 4]++;
+        }
+
+        let stops = [];
+        for (let b = 0; b < bins; b++) {
+            const count = sums[b * 5 + 4];
+            if (count === 0) continue;
+            stops.push({
+                t: sums[b * 5] / count,
+                r: sums[b * 5 + 1] / count,
+                g: sums[b * 5 + 2] / count,
+                b: sums[b * 5 + 3] / count
+            });
+        }
+        if (stops.length < 2) return null;
+
+        // Drop stops that their neighbors already interpolate
+        const lerp = (a, b, v) => {
+            const f = b.t === a.t ? 0 : Math.max(0, Math.min(1, (v - a.t) / (b.t - a.t)));
+            return [a.r + (b.r - a.r) * f, a.g + (b.g - a.g) * f, a.b + (b.b - a.b) * f];
+        };
+        const kept = [stops[0]];
+        for (let i = 1; i < stops.length - 1; i++) {
+            const [r, g, b] = lerp(kept[kept.length - 1], stops[i + 1], stops[i].t);
+            if (Math.max(Math.abs(r - stops[i].r), Math.abs(g - stops[i].g), Math.abs(b - stops[i].b)) > tolerance / 2) {
+                kept.push(stops[i]);
+            }
+        }
+        kept.push(stops[stops.length - 1]);
+        stops = kept;
+
+        let sqError = 0;
+        for (let k = 0; k < pixels.length; k++) {
+            // Binary search for the stops around t
+            let lo = 0;
+            let hi = stops.length - 2;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (stops[mid].t <= t[k]) lo = mid;
+                else hi = mid - 1;
+            }
+            const [r, g, b] = lerp(stops[lo], stops[lo + 1], t[k]);
+            const i = pixels[k] * 4;
+            sqError += (data[i] - r) ** 2 + (data[i + 1] - g) ** 2 + (data[i + 2] - b) ** 2;
+        }
+
+        return { stops, error: Math.sqrt(sqError / (pixels.length * 3)) };
+    }
+
+    /**
+     * Create the SVG definition of a fitted gradient
+     */
+    createGradientDef(id, gradient) {
+        const stops = gradient.stops.map(s =>
+            `      <stop offset="${Math.round(s.offset * 1000) / 1000}" stop-color="rgb(${s.r},${s.g},${s.b})"/>\n`
+        ).join('');
+
+        if (gradient.type === 'radial') {
+            return `    <radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${formatCoord(gradient.cx)}" cy="${formatCoord(gradient.cy)}" r="${formatCoord(gradient.r)}">\n${stops}    </radialGradient>\n`;
+        }
+
+        return `    <linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${formatCoord(gradient.x1)}" y1="${formatCoord(gradient.y1)}" x2="${formatCoord(gradient.x2)}" y2="${formatCoord(gradient.y2)}">\n${stops}    </linearGradient>\n`;
+    }
+
+    /**
+     * Label the 4-connected regions of one color in an indexed image
+     */
+    labelRegions(indexed, width) {
+        const labels = new Int32Array(indexed.length).fill(-1);
+        const colors = [];
+        const areas = [];
+        const stack = [];
+
+        for (let start = 0; start < indexed.length; start++) {
+            if (labels[start] !== -1) continue;
+
+            const label = colors.length;
+            const color = indexed[start];
+            let area = 0;
+            labels[start] = label;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const x = i % width;
+                area++;
+
+                for (const n of [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1]) {
+                    if (n >= 0 && n < indexed.length && labels[n] === -1 && indexed[n] === color) {
+                        labels[n] = label;
+                        stack.push(n);
+                    }
+                }
+            }
+
+            colors.push(color);
+            areas.push(area);
+        }
+
+        return { labels, colors, areas };
+    }
+
+    /**
+     * Simplify path using Ramer-Douglas-Peucker algorithm
+     */
+    simplifyPath(path, tolerance) {
+        if (path.length <= 2) return path;
+
+        const sqTolerance = tolerance * tolerance;
+
+        function getSqSegDist(p, p1, p2) {
+            let x = p1.x;
+            let y = p1.y;
+            let dx = p2.x - x;
+            let dy = p2.y - y;
+
+            if (dx !== 0 || dy !== 0) {
+                const t = ((p.x - x) * dx + (p.y - y) * dy) / (dx * dx + dy * dy);
+                if (t > 1) {
+                    x = p2.x;
+                    y = p2.y;
+                } else if (t > 0) {
+                    x += dx * t;
+                    y += dy * t;
+                }
+            }
+
+            return (p.x - x) ** 2 + (p.y - y) ** 2;
+        }
+
+        function simplifyDPStep(points, first, last, sqTolerance, simplified) {
+            let maxSqDist = sqTolerance;
+            let index = 0;
+
+            for (let i = first + 1; i < last; i++) {
+                const sqDist = getSqSegDist(points[i], points[first], points[last]);
+                if (sqDist > maxSqDist) {
+                    index = i;
+                    maxSqDist = sqDist;
+                }
+            }
+
+            if (maxSqDist > sqTolerance) {
+                if (index - first > 1) {
+                    simplifyDPStep(points, first, index, sqTolerance, simplified);
+                }
+                simplified.push(points[index]);
+                if (last - index > 1) {
+                    simplifyDPStep(points, index, last, sqTolerance, simplified);
+                }
+            }
+        }
+
+        const last = path.length - 1;
+        const simplified = [path[0]];
+        simplifyDPStep(path, 0, last, sqTolerance, simplified);
+        simplified.push(path[last]);
+
+        return simplified;
+    }
+
+    /**
+     * Gaussian blur with the given radius (also its sigma), run as a
+     * horizontal and a vertical pass clamped at the image edges
+     */
+    blur(data, width, height, radius) {
+        radius = Math.round(radius);
+        if (radius < 1) return data;
+
+        const size = radius * 2 + 1;
+        const kernel = new Float64Array(size);
+        let sum = 0;
+        for (let k = 0; k < size; k++) {
+            kernel[k] = Math.exp(-((k - radius) ** 2) / (2 * radius * radius));
+            sum += kernel[k];
+        }
+        for (let k = 0; k < size; k++) kernel[k] /= sum;
+
+        const horizontal = new Float64Array(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                for (let k = 0; k < size; k++) {
+                    const j = (y * width + Math.min(width - 1, Math.max(0, x + k - radius))) * 4;
+                    for (let c = 0; c < 4; c++) horizontal[i + c] += data[j + c] * kernel[k];
+                }
+            }
+        }
+
+        const result = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const acc = [0, 0, 0, 0];
+                for (let k = 0; k < size; k++) {
+                    const j = (Math.min(height - 1, Math.max(0, y + k - radius)) * width + x) * 4;
+                    for (let c = 0; c < 4; c++) acc[c] += horizontal[j + c] * kernel[k];
+                }
+                for (let c = 0; c < 4; c++) result[i + c] = Math.round(acc[c]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Hybrid median filter: the median of the center pixel, the median of
+     * the + shaped and the median of the x shaped lines of the given
+     * radius through it, per channel. Drops specks and JPEG noise like a
+     * square median, but a square corner keeps the majority of its +
+     * shape, so corners stay sharp.
+     */
+    median(data, width, height, radius) {
+        radius = Math.round(radius);
+        if (radius < 1) return data;
+
+        const lineLength = radius * 4 + 1;
+        const plus = new Uint8Array(lineLength);
+        const cross = new Uint8Array(lineLength);
+        const sortedMedian = (values) => {
+            for (let i = 1; i < lineLength; i++) {
+                const v = values[i];
+                let j = i - 1;
+                while (j >= 0 && values[j] > v) {
+                    values[j + 1] = values[j];
+                    j--;
+                }
+                values[j + 1] = v;
+            }
+            return values[radius * 2];
+        };
+        // Mirror at the image edges; clamping would repeat the edge pixel
+        // and keep specks there
+        const mirror = (v, size) => Math.min(size - 1, Math.max(0, v < 0 ? -v : v >= size ? 2 * (size - 1) - v : v));
+        const at = (x, y, c) => data[(mirror(y, height) * width + mirror(x, width)) * 4 + c];
+
+        const result = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 4; c++) {
+                    plus[0] = cross[0] = data[i + c];
+                    for (let k = 1, n = 1; k <= radius; k++) {
+                        plus[n] = at(x - k, y, c);
+                        cross[n++] = at(x - k, y - k, c);
+                        plus[n] = at(x + k, y, c);
+                        cross[n++] = at(x + k, y + k, c);
+                        plus[n] = at(x, y - k, c);
+                        cross[n++] = at(x + k, y - k, c);
+                        plus[n] = at(x, y + k, c);
+                        cross[n++] = at(x - k, y + k, c);
+                    }
+                    const p = sortedMedian(plus);
+                    const q = sortedMedian(cross);
+                    const center = data[i + c];
+                    result[i + c] = Math.max(Math.min(p, q), Math.min(Math.max(p, q), center));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Bilateral filter: a Gaussian blur of the given radius (also its
+     * sigma) that also weighs each neighbor by how close its color is to
+     * the center, so flat areas are smoothed while edges stay sharp.
+     * Clamped at the image edges.
+     */
+    bilateral(data, width, height, radius) {
+        radius = Math.round(radius);
+        if (radius < 1) return data;
+
+        const size = radius * 2 + 1;
+        const spatial = new Float64Array(size * size);
+        for (let ky = 0; ky < size; ky++) {
+            for (let kx = 0; kx < size; kx++) {
+                spatial[ky * size + kx] = Math.exp(-((kx - radius) ** 2 + (ky - radius) ** 2) / (2 * radius * radius));
+            }
+        }
+        // Color weights by squared RGBA distance
+        const range = new Float64Array(4 * 255 * 255 + 1);
+        for (let d = 0; d < range.length; d++) {
+            range[d] = Math.exp(-d / (2 * BILATERAL_COLOR_SIGMA * BILATERAL_COLOR_SIGMA));
+        }
+
+        const result = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                let r = 0, g = 0, b = 0, a = 0, total = 0;
+                for (let ky = 0; ky < size; ky++) {
+                    const row = Math.min(height - 1, Math.max(0, y + ky - radius)) * width;
+                    for (let kx = 0; kx < size; kx++) {
+                        const j = (row + Math.min(width - 1, Math.max(0, x + kx - radius))) * 4;
+                        const dist = (data[j] - data[i]) ** 2 + (data[j + 1] - data[i + 1]) ** 2 +
+                            (data[j + 2] - data[i + 2]) ** 2 + (data[j + 3] - data[i + 3]) ** 2;
+                        const weight = spatial[ky * size + kx] * range[dist];
+                        r += data[j] * weight;
+                        g += data[j + 1] * weight;
+                        b += data[j + 2] * weight;
+                        a += data[j + 3] * weight;
+                        total += weight;
+                    }
+                }
+                result[i] = Math.round(r / total);
+                result[i + 1] = Math.round(g / total);
+                result[i + 2] = Math.round(b / total);
+                result[i + 3] = Math.round(a / total);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert to grayscale
+     */
+    toGrayscale(data) {
+        const result = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+            result[i] = gray;
+            result[i + 1] = gray;
+            result[i + 2] = gray;
+            result[i + 3] = data[i + 3];
+        }
+        return result;
+    }
+
+    /**
+     * Posterize to a fixed number of levels per channel. With luminanceOnly,
+     * pixels are banded by brightness instead and each band takes the
+     * average color of its pixels at least alphaCutoff opaque.
+     */
+    posterize(data, levels, luminanceOnly = false, alphaCutoff = 128) {
+        const steps = Math.max(POSTERIZE_MIN_LEVELS, Math.min(POSTERIZE_MAX_LEVELS, Math.round(levels) || 4)) - 1;
+        const result = new Uint8ClampedArray(data.length);
+
+        if (!luminanceOnly) {
+            for (let i = 0; i < data.length; i += 4) {
+                result[i] = Math.round(Math.round(data[i] * steps / 255) * 255 / steps);
+                result[i + 1] = Math.round(Math.round(data[i + 1] * steps / 255) * 255 / steps);
+                result[i + 2] = Math.round(Math.round(data[i + 2] * steps / 255) * 255 / steps);
+                result[i + 3] = Math.round(Math.round(data[i + 3] * steps / 255) * 255 / steps);
+            }
+            return result;
+        }
+
+        const bands = new Uint8Array(data.length / 4);
+        const sums = new Float64Array((steps + 1) * 4);
+
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            const band = Math.round(gray * steps / 255);
+            bands[i / 4] = band;
+            if (data[i + 3] < alphaCutoff) continue;
+            sums[band * 4] += data[i];
+            sums[band * 4 + 1] += data[i + 1];
+            sums[band * 4 + 2] += data[i + 2];
+            sums[band * 4 + 3]++;
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            const band = bands[i / 4] * 4;
+            const count = sums[band + 3] || 1;
+            result[i] = Math.round(sums[band] / count);
+            result[i + 1] = Math.round(sums[band + 1] / count);
+            result[i + 2] = Math.round(sums[band + 2] / count);
+            result[i + 3] = Math.round(Math.round(data[i + 3] * steps / 255) * 255 / steps);
+        }
+
+        return result;
+    }
+
+    /**
+     * Collect every distinct color at least alphaCutoff opaque as the palette
+     */
+    getExactPalette(data, alphaCutoff = 128) {
+        return this.exactPaletteFromCounts(this.countExactColors(data, alphaCutoff));
+    }
+
+    /**
+     * Count each distinct color at least alphaCutoff opaque into counts,
+     * keyed by its packed RGBA value
+     */
+    countExactColors(data, alphaCutoff, counts = new Map()) {
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < alphaCutoff) continue;
+            const key = ((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) * 256 + data[i + 3];
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Palette of the colors counted by countExactColors, ordered by
+     * value so it does not depend on the order they were counted in
+     */
+    exactPaletteFromCounts(counts) {
+        if (counts.size === 0) {
+            return [{ r: 128, g: 128, b: 128, a: 255, count: 0 }];
+        }
+
+        return Array.from(counts).sort((a, b) => a[0] - b[0]).map(([key, count]) => ({
+            r: Math.floor(key / 0x1000000),
+            g: Math.floor(key / 0x10000) & 255,
+            b: Math.floor(key / 256) & 255,
+            a: key % 256,
+            count
+        }));
+    }
+
+    /**
+     * Pass an exact palette through, throwing when it has too many colors
+     */
+    checkExactPalette(palette, opts) {
+        if (palette.length <= EXACT_MAX_COLORS) return palette;
+
+        if (opts.traceMode === 'posterize') {
+            throw new Error(`Posterize keeps up to ${EXACT_MAX_COLORS} exact colors and this image has ` +
+                `${palette.length}. Use fewer posterize levels.`);
+        }
+        throw new Error(`Pixel art mode keeps up to ${EXACT_MAX_COLORS} exact colors and this image has ` +
+            `${palette.length}. Use the color trace mode for photos and gradients.`);
+    }
+
+    /**
+     * Convert to monochrome
+     */
+    toMonochrome(data, threshold) {
+        const result = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            const val = gray > threshold ? 255 : 0;
+            result[i] = val;
+            result[i + 1] = val;
+            result[i + 2] = val;
+            result[i + 3] = data[i + 3];
+        }
+        return result;
+    }
+
+    /**
+     * Convert to monochrome with opts.thresholdMethod: the fixed
+     * opts.threshold, Otsu's threshold for the whole image, or a threshold
+     * per pixel from the opts.thresholdWindow square around it
+     */
+    binarize(data, width, height, opts) {
+        if (opts.thresholdMethod === 'otsu') {
+            // Gray levels above Otsu's threshold are white
+            return this.toMonochrome(data, this.otsuThreshold(this.grayHistogram(data, opts.alphaCutoff)) + 0.5);
+        } else if (opts.thresholdMethod === 'adaptive-mean' || opts.thresholdMethod === 'sauvola') {
+            return this.localThreshold(data, width, height, opts.thresholdMethod, opts.thresholdWindow);
+        }
+        return this.toMonochrome(data, opts.threshold);
+    }
+
+    /**
+     * Count the rounded gray levels of the pixels at or above the alpha
+     * cutoff, adding to `counts` when given
+     */
+    grayHistogram(data, alphaCutoff, counts = new Float64Array(256)) {
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] >= alphaCutoff) {
+                counts[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Otsu's method: the gray level that best splits a histogram into a
+     * dark class (at or below it) and a light one, by between-class variance
+     */
+    otsuThreshold(counts) {
+        let total = 0;
+        let sum = 0;
+        for (let level = 0; level < 256; level++) {
+            total += counts[level];
+            sum += level * counts[level];
+        }
+
+        let best = 127;
+        let bestVariance = -1;
+        let darkCount = 0;
+        let darkSum = 0;
+        for (let level = 0; level < 255; level++) {
+            darkCount += counts[level];
+            darkSum += level * counts[level];
+            const lightCount = total - darkCount;
+            if (darkCount === 0 || lightCount === 0) continue;
+
+            const difference = darkSum / darkCount - (sum - darkSum) / lightCount;
+            const variance = darkCount * lightCount * difference * difference;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = level;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Threshold each pixel against the gray levels in the windowSize square
+     * around it, clipped to the image. adaptive-mean turns pixels more than
+     * ADAPTIVE_MEAN_OFFSET below the mean black; sauvola lowers the mean in
+     * windows of little contrast, so shadows and paper grain stay white.
+     */
+    localThreshold(data, width, height, method, windowSize) {
+        const radius = Math.max(1, Math.floor(windowSize / 2));
+        const gray = new Uint8Array(width * height);
+        for (let p = 0; p < gray.length; p++) {
+            const i = p * 4;
+            gray[p] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        }
+
+        // Integral images of the gray levels and their squares. The sums are
+        // whole numbers, so every window gets the same stats however the
+        // image is cropped.
+        const stride = width + 1;
+        const sums = new Float64Array(stride * (height + 1));
+        const squares = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            let rowSquares = 0;
+            for (let x = 0; x < width; x++) {
+                const g = gray[y * width + x];
+                rowSum += g;
+                rowSquares += g * g;
+                sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+                squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+            }
+        }
+        const windowTotal = (table, x0, y0, x1, y1) =>
+            table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0];
+
+        const result = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const count = (x1 - x0) * (y1 - y0);
+                const mean = windowTotal(sums, x0, y0, x1, y1) / count;
+
+                let threshold;
+                if (method === 'sauvola') {
+                    const deviation = Math.sqrt(Math.max(0, windowTotal(squares, x0, y0, x1, y1) / count - mean * mean));
+                    threshold = mean * (1 + SAUVOLA_K * (deviation / SAUVOLA_RANGE - 1));
+                } else {
+                    threshold = mean - ADAPTIVE_MEAN_OFFSET;
+                }
+
+                const p = y * width + x;
+                const val = gray[p] > threshold ? 255 : 0;
+                result[p * 4] = val;
+                result[p * 4 + 1] = val;
+                result[p * 4 + 2] = val;
+                result[p * 4 + 3] = data[p * 4 + 3];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Number of pixels along the four edges of an image
+     */
+    borderLength(width, height) {
+        return height > 1 ? 2 * width + (height - 2) * Math.min(width, 2) : width;
+    }
+
+    /**
+     * Copy the pixels of rect (a region of the image's RGBA pixels, in
+     * image coordinates) that lie on the image's edges into border, at
+     * their place in row order. Reading every region fills it as
+     * borderPixels does.
+     */
+    addBorderPixels(border, data, rect, width, height) {
+        const sides = Math.min(width, 2);
+        const copy = (x, y, position) => {
+            const i = ((y - rect.y) * rect.width + x - rect.x) * 4;
+            border.set(data.subarray(i, i + 4), position * 4);
+        };
+
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            if (y === 0 || y === height - 1) {
+                const first = y === 0 ? 0 : width + (height - 2) * sides;
+                for (let x = rect.x; x < rect.x + rect.width; x++) copy(x, y, first + x);
+                continue;
+            }
+            const first = width + (y - 1) * sides;
+            if (rect.x === 0) copy(0, y, first);
+            if (width > 1 && rect.x + rect.width === width) copy(width - 1, y, first + 1);
+        }
+        return border;
+    }
+
+    /**
+     * RGBA pixels along the four edges of an image, in row order
+     */
+    borderPixels(data, width, height) {
+        const border = new Uint8ClampedArray(this.borderLength(width, height) * 4);
+        return this.addBorderPixels(border, data, { x: 0, y: 0, width, height }, width, height);
+    }
+
+    /**
+     * Average of the most common color among border pixels, or null when
+     * more of the border is transparent than has that color
+     */
+    detectBackground(border, alphaCutoff = 128) {
+        const shift = 8 - BACKGROUND_BITS;
+        const bins = new Map();
+        let transparent = 0;
+
+        for (let i = 0; i < border.length; i += 4) {
+            if (border[i + 3] < alphaCutoff) {
+                transparent++;
+                continue;
+            }
+            const key = (border[i] >> shift) << (2 * BACKGROUND_BITS) |
+                (border[i + 1] >> shift) << BACKGROUND_BITS | border[i + 2] >> shift;
+            let bin = bins.get(key);
+            if (!bin) bins.set(key, bin = { r: 0, g: 0, b: 0, count: 0 });
+            bin.r += border[i];
+            bin.g += border[i + 1];
+            bin.b += border[i + 2];
+            bin.count++;
+        }
+
+        let best = null;
+        for (const bin of bins.values()) {
+            if (!best || bin.count > best.count) best = bin;
+        }
+        if (!best || best.count <= transparent) return null;
+
+        return {
+            r: Math.round(best.r / best.count),
+            g: Math.round(best.g / best.count),
+            b: Math.round(best.b / best.count)
+        };
+    }
+
+    /**
+     * Background color to remove: 'auto' detects it from the border
+     * pixels, anything else is a hex key color
+     */
+    backgroundColor(key, border, alphaCutoff = 128) {
+        if (key === 'auto') return this.detectBackground(border, alphaCutoff);
+
+        try {
+            return parsePaletteColor(key);
+        } catch (e) {
+            throw new Error(`Invalid background color: ${key}. Use auto or a hex color such as #00ff00`);
+        }
+    }
+
+    /**
+     * Start collecting runs of background pixels: pixels already
+     * transparent or within tolerance of color on every channel. Runs are
+     * added a tile at a time by addBackgroundTile and joined with the runs
+     * they touch, so that finishBackgroundRuns can keep those connected to
+     * the image border. Throws once there are more than maxRuns runs.
+     */
+    createBackgroundRuns(width, height, color, tolerance, maxRuns = Infinity) {
+        const capacity = Math.min(1024, maxRuns + 1);
+        return {
+            width, height, color, tolerance, maxRuns,
+            // Run 0 stands for the image border
+            count: 1,
+            starts: new Int32Array(capacity),
+            ends: new Int32Array(capacity),
+            rows: new Int32Array(capacity),
+            parent: new Int32Array(capacity),
+            // The run ending at the right side of the last tile on each row,
+            // and the last row of runs of the last tile in each column
+            rightRuns: new Int32Array(height).fill(-1),
+            lastRows: new Map()
+        };
+    }
+
+    /**
+     * Add the background runs of one tile, given its RGBA pixels. Tiles are
+     * added in row order, left to right, as traceTiled lists them.
+     */
+    addBackgroundTile(state, data, tile) {
+        const { width, height, color, tolerance } = state;
+        const matches = (i) => data[i + 3] === 0 || (
+            Math.abs(data[i] - color.r) <= tolerance &&
+            Math.abs(data[i + 1] - color.g) <= tolerance &&
+            Math.abs(data[i + 2] - color.b) <= tolerance
+        );
+        const join = (a, b) => {
+            const rootA = findRoot(state.parent, a);
+            const rootB = findRoot(state.parent, b);
+            // The lower run becomes the root, so the border stays its own
+            if (rootA < rootB) state.parent[rootB] = rootA;
+            else if (rootB < rootA) state.parent[rootA] = rootB;
+        };
+
+        let above = tile.y > 0 ? state.lastRows.get(tile.x) : null;
+        for (let y = 0; y < tile.height; y++) {
+            const row = tile.y + y;
+            const first = state.count;
+            let x = 0;
+            while (x < tile.width) {
+                if (!matches((y * tile.width + x) * 4)) {
+                    x++;
+                    continue;
+                }
+                const start = x;
+                while (x < tile.width && matches((y * tile.width + x) * 4)) x++;
+
+                const run = this.addBackgroundRun(state, tile.x + start, tile.x + x, row);
+                if (row === 0 || row === height - 1 || tile.x + start === 0 || tile.x + x === width) join(run, 0);
+                if (start === 0 && tile.x > 0 && state.rightRuns[row] >= 0) join(run, state.rightRuns[row]);
+            }
+
+            const last = state.count - 1;
+            state.rightRuns[row] = last >= first && state.ends[last] === tile.x + tile.width ? last : -1;
+
+            // Join runs overlapping a run of the row above
+            if (above) {
+                let a = above.first;
+                let b = first;
+                while (a < above.end && b < state.count) {
+                    if (state.starts[a] < state.ends[b] && state.starts[b] < state.ends[a]) join(a, b);
+                    if (state.ends[a] < state.ends[b]) a++;
+                    else b++;
+                }
+            }
+            above = { first, end: state.count };
+        }
+        state.lastRows.set(tile.x, above);
+    }
+
+    /**
+     * Append a run from start to end (exclusive) on row, growing the arrays
+     * of state as needed
+     */
+    addBackgroundRun(state, start, end, row) {
+        if (state.count > state.maxRuns) {
+            throw new Error(`Background removal found more than ${state.maxRuns} background runs, more than fit ` +
+                'in the memory limit. Raise memoryLimit or remove the background before converting.');
+        }
+        if (state.count === state.starts.length) {
+            const capacity = Math.min(state.count * 2, state.maxRuns + 1);
+            for (const key of ['starts', 'ends', 'rows', 'parent']) {
+                const grown = new Int32Array(capacity);
+                grown.set(state[key]);
+                state[key] = grown;
+            }
+        }
+
+        const run = state.count++;
+        state.starts[run] = start;
+        state.ends[run] = end;
+        state.rows[run] = row;
+        state.parent[run] = run;
+        return run;
+    }
+
+    /**
+     * Background runs connected to the image border, by row:
+     * `{ rowOffsets, starts, ends }`, where the runs of row y are
+     * rowOffsets[y] up to rowOffsets[y + 1], ordered by start
+     */
+    finishBackgroundRuns(state) {
+        const { count, rows, parent } = state;
+        const kept = new Uint8Array(count);
+        const rowOffsets = new Int32Array(state.height + 1);
+        for (let run = 1; run < count; run++) {
+            if (findRoot(parent, run) !== 0) continue;
+            kept[run] = 1;
+            rowOffsets[rows[run] + 1]++;
+        }
+        for (let y = 0; y < state.height; y++) rowOffsets[y + 1] += rowOffsets[y];
+
+        // Tiles were added left to right, so each row's runs are in order
+        const next = rowOffsets.slice(0, state.height);
+        const starts = new Int32Array(rowOffsets[state.height]);
+        const ends = new Int32Array(starts.length);
+        for (let run = 1; run < count; run++) {
+            if (!kept[run]) continue;
+            const i = next[rows[run]]++;
+            starts[i] = state.starts[run];
+            ends[i] = state.ends[run];
+        }
+        return { rowOffsets, starts, ends };
+    }
+
+    /**
+     * Make the background runs within rect transparent, in place. data
+     * holds the RGBA pixels of rect, in image coordinates.
+     */
+    clearBackground(data, runs, rect) {
+        const { rowOffsets, starts, ends } = runs;
+        const right = rect.x + rect.width;
+
+        for (let y = 0; y < rect.height; y++) {
+            const row = rect.y + y;
+
+            // First run ending past the left side of rect
+            let lo = rowOffsets[row];
+            let hi = rowOffsets[row + 1];
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (ends[mid] <= rect.x) lo = mid + 1;
+                else hi = mid;
+            }
+
+            for (let i = lo; i < rowOffsets[row + 1] && starts[i] < right; i++) {
+                const end = Math.min(ends[i], right);
+                for (let x = Math.max(starts[i], rect.x); x < end; x++) {
+                    data[(y * rect.width + x - rect.x) * 4 + 3] = 0;
+                }
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Make the background connected to the image border transparent, in
+     * place. key is 'auto' or a hex color; pixels within tolerance of it on
+     * every channel count as background.
+     */
+    removeBackground(data, width, height, key, tolerance = 20) {
+        const color = this.backgroundColor(key, this.borderPixels(data, width, height), this.options.alphaCutoff);
+        if (!color) return data;
+
+        const image = { x: 0, y: 0, width, height };
+        const state = this.createBackgroundRuns(width, height, color, tolerance);
+        this.addBackgroundTile(state, data, image);
+        return this.clearBackground(data, this.finishBackgroundRuns(state), image);
+    }
+
+    /**
+     * Background runs of an image traced in tiles, read with readRegion
+     * like traceTiled does. The border tiles are read first when the
+     * color is detected. Runs take up to BACKGROUND_MEMORY_SHARE of the
+     * memory limit. Resolves to null when there is no background.
+     */
+    async findTiledBackground(width, height, tiles, readRegion, opts) {
+        const read = (tile) => readRegion(tile.x, tile.y, tile.width, tile.height);
+
+        let border = null;
+        if (opts.removeBg === 'auto') {
+            border = new Uint8ClampedArray(this.borderLength(width, height) * 4);
+            for (const tile of tiles) {
+                if (tile.x > 0 && tile.y > 0 && tile.x + tile.width < width && tile.y + tile.height < height) continue;
+                this.addBorderPixels(border, await read(tile), tile, width, height);
+            }
+        }
+        const color = this.backgroundColor(opts.removeBg, border, opts.alphaCutoff);
+        if (!color) return null;
+
+        const maxRuns = opts.memoryLimit > 0
+            ? Math.floor(opts.memoryLimit * 1024 * 1024 * BACKGROUND_MEMORY_SHARE / BACKGROUND_RUN_BYTES)
+            : Infinity;
+        const state = this.createBackgroundRuns(width, height, color, opts.bgTolerance, maxRuns);
+        for (const tile of tiles) {
+            this.addBackgroundTile(state, await read(tile), tile);
+        }
+        return this.finishBackgroundRuns(state);
+    }
+
+    /**
+     * Create run-length encoded rectangles for a color
+     */
+    createColorRects(indexed, width, height, colorIdx) {
+        // Merge vertically adjacent rectangles
+        return this.mergeRects(this.createColorRuns(indexed, width, height, colorIdx));
+    }
+
+    /**
+     * Create the one pixel high runs of a color, row by row
+     */
+    createColorRuns(indexed, width, height, colorIdx) {
+        const rects = [];
+        
+        for (let y = 0; y < height; y++) {
+            let runStart = -1;
+            
+            for (let x = 0; x <= width; x++) {
+                const idx = y * width + x;
+                const isColor = x < width && indexed[idx] === colorIdx;
+                
+                if (isColor && runStart === -1) {
+                    runStart = x;
+                } else if (!isColor && runStart !== -1) {
+                    rects.push({ x: runStart, y, w: x - runStart, h: 1 });
+                    runStart = -1;
+                }
+            }
+        }
+
+        return rects;
+    }
+
+    /**
+     * Merge adjacent rectangles
+     */
+    mergeRects(rects) {
+        if (rects.length === 0) return rects;
+        
+        // Sort by y, then x
+        rects.sort((a, b) => a.y - b.y || a.x - b.x);
+        
+        const merged = [];
+        let current = { ...rects[0] };
+        
+        for (let i = 1; i < rects.length; i++) {
+            const rect = rects[i];
+            
+            // Can merge if same x and width, and adjacent y
+            if (rect.x === current.x && rect.w === current.w && rect.y === current.y + current.h) {
+                current.h += rect.h;
+            } else {
+                merged.push(current);
+                current = { ...rect };
+            }
+        }
+        
+        merged.push(current);
+        return merged;
+    }
+
+    /**
+     * Trace the closed outlines of a mask along pixel edges.
+     * Every boundary edge is walked with the mask on its right, so outer
+     * contours run clockwise and holes counter-clockwise. Diagonal pixels
+     * are treated as separate regions (4-connectivity).
+     * Returns a list of contours, each a list of corner points.
+     */
+    traceContours(mask, width, height) {
+        const stride = width + 1;
+        // Outgoing boundary edges per lattice vertex, one bit per direction
+        const edges = new Uint8Array(stride * (height + 1));
+        // Direction vectors: east, south, west, north
+        const dx = [1, 0, -1, 0];
+        const dy = [0, 1, 0, -1];
+
+        const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && mask[y * width + x] === 1;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) continue;
+
+                if (!inside(x, y - 1)) edges[y * stride + x] |= 1;            // top, heading east
+                if (!inside(x + 1, y)) edges[y * stride + x + 1] |= 2;        // right, heading south
+                if (!inside(x, y + 1)) edges[(y + 1) * stride + x + 1] |= 4;  // bottom, heading west
+                if (!inside(x - 1, y)) edges[(y + 1) * stride + x] |= 8;      // left, heading north
+            }
+        }
+
+        const used = new Uint8Array(edges.length);
+        const contours = [];
+
+        for (let start = 0; start < edges.length; start++) {
+            while (edges[start] & ~used[start]) {
+                const available = edges[start] & ~used[start];
+                let dir = 0;
+                while (!(available & (1 << dir))) dir++;
+
+                const startDir = dir;
+                const points = [];
+                let v = start;
+
+                do {
+                    used[v] |= 1 << dir;
+                    const x = v % stride + dx[dir];
+                    const y = Math.floor(v / stride) + dy[dir];
+                    v = y * stride + x;
+
+                    // Prefer turning right, then straight, then left
+                    let next = -1;
+                    for (const turn of [1, 0, 3]) {
+                        const d = (dir + turn) % 4;
+                        if (edges[v] & (1 << d)) {
+                            next = d;
+                            break;
+                        }
+                    }
+
+                    if (next !== dir) {
+                        points.push({ x, y });
+                    }
+                    dir = next;
+                } while (v !== start || dir !== startDir);
+
+                contours.push(points);
+            }
+        }
+
+        return contours;
+    }
+
+    /**
+     * Simplify a closed contour, keeping it anchored at its first point
+     * and at the point farthest from it
+     */
+    simplifyClosedPath(points, tolerance) {
+        if (points.length <= 4 || tolerance <= 0) return points;
+
+        const first = points[0];
+        let farthest = 0;
+        let maxDist = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const dist = (points[i].x - first.x) ** 2 + (points[i].y - first.y) ** 2;
+            if (dist > maxDist) {
+                maxDist = dist;
+                farthest = i;
+            }
+        }
+
+        const head = this.simplifyPath(points.slice(0, farthest + 1), tolerance);
+        const tail = this.simplifyPath(points.slice(farthest).concat([first]), tolerance);
+
+        return head.concat(tail.slice(1, -1));
+    }
+
+    /**
+     * The points of a pixel outline where it turns, so that pixel art keeps
+     * every step. Open outlines also keep their ends.
+     */
+    staircaseCorners(points, closed) {
+        const n = points.length;
+        const corners = [];
+
+        for (let i = 0; i < n; i++) {
+            if (!closed && (i === 0 || i === n - 1)) {
+                corners.push(points[i]);
+                continue;
+            }
+            const prev = points[(i + n - 1) % n];
+            const next = points[(i + 1) % n];
+            const p = points[i];
+            if ((p.x - prev.x) * (next.y - p.y) !== (p.y - prev.y) * (next.x - p.x)) {
+                corners.push(p);
+            }
+        }
+
+        return corners;
+    }
+
+    /**
+     * Convert a closed polygon to compact SVG path data
+     */
+    contourToPathData(points) {
+        let d = `M${points[0].x} ${points[0].y}`;
+
+        for (let i = 1; i < points.length; i++) {
+            const prev = points[i - 1];
+            const p = points[i];
+
+            if (p.y === prev.y) {
+                d += `H${p.x}`;
+            } else if (p.x === prev.x) {
+                d += `V${p.y}`;
+            } else {
+                d += `L${p.x} ${p.y}`;
+            }
+        }
+
+        return d + 'Z';
+    }
+
+    /**
+     * Replace the pixel staircase of a contour with the midpoints of its
+     * edges. Corners between two edges at least 2px long are kept as
+     * sharp corners when rightAngleEnhance is set.
+     */
+    smoothContour(points, rightAngleEnhance) {
+        const n = points.length;
+        const smoothed = [];
+
+        for (let i = 0; i < n; i++) {
+            const prev = points[(i + n - 1) % n];
+            const p = points[i];
+            const next = points[(i + 1) % n];
+            const inLength = Math.abs(p.x - prev.x) + Math.abs(p.y - prev.y);
+            const outLength = Math.abs(next.x - p.x) + Math.abs(next.y - p.y);
+
+            if (rightAngleEnhance && inLength >= 2 && outLength >= 2) {
+                smoothed.push({ x: p.x, y: p.y, corner: true });
+            }
+            smoothed.push({ x: (p.x + next.x) / 2, y: (p.y + next.y) / 2, corner: false });
+        }
+
+        // Flag sharp turns as corners too
+        const m = smoothed.length;
+        for (let i = 0; i < m; i++) {
+            const p = smoothed[i];
+            if (p.corner) continue;
+
+            const prev = smoothed[(i + m - 1) % m];
+            const next = smoothed[(i + 1) % m];
+            const ax = p.x - prev.x, ay = p.y - prev.y;
+            const bx = next.x - p.x, by = next.y - p.y;
+            const cos = (ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by));
+            p.corner = cos < CORNER_COS;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Fit a closed contour with lines and Bezier curves.
+     * The contour is split at its corners and every piece is fitted
+     * on its own, so corners stay sharp and curves stay smooth.
+     */
+    fitContour(points, opts) {
+        const smoothed = this.smoothContour(points, opts.rightAngleEnhance !== false);
+        const n = smoothed.length;
+        let corners = [];
+
+        for (let i = 0; i < n; i++) {
+            if (smoothed[i].corner) corners.push(i);
+        }
+
+        // A smooth loop is anchored at two opposite points with shared tangents
+        let smoothJoins = false;
+        if (corners.length === 0) {
+            let farthest = 0;
+            let maxDist = 0;
+            for (let i = 1; i < n; i++) {
+                const dist = (smoothed[i].x - smoothed[0].x) ** 2 + (smoothed[i].y - smoothed[0].y) ** 2;
+                if (dist > maxDist) {
+                    maxDist = dist;
+                    farthest = i;
+                }
+            }
+            corners = [0, farthest];
+            smoothJoins = true;
+        }
+
+        const start = smoothed[corners[0]];
+        const segments = [];
+
+        for (let c = 0; c < corners.length; c++) {
+            const from = corners[c];
+            const to = corners[(c + 1) % corners.length];
+            const length = (to - from + n) % n || n;
+            const piece = [];
+
+            for (let i = 0; i <= length; i++) {
+                piece.push(smoothed[(from + i) % n]);
+            }
+
+            let tan1, tan2;
+            if (smoothJoins) {
+                tan1 = unitVector(smoothed[(from + n - 1) % n], smoothed[(from + 1) % n]);
+                tan2 = unitVector(smoothed[(to + 1) % n], smoothed[(to + n - 1) % n]);
+            } else {
+                tan1 = unitVector(piece[0], piece[1]);
+                tan2 = unitVector(piece[piece.length - 1], piece[piece.length - 2]);
+            }
+
+            this.fitCurve(piece, 0, piece.length - 1, tan1, tan2, opts, segments);
+        }
+
+        return { start, segments };
+    }
+
+    /**
+     * Fit points[first..last] with a single Bezier curve, splitting at the
+     * worst point until every point is within the curve tolerance
+     * (after Schneider, "An Algorithm for Automatically Fitting Digitized Curves")
+     */
+    fitCurve(points, first, last, tan1, tan2, opts, segments) {
+        const p0 = points[first];
+        const p3 = points[last];
+
+        // Short or straight runs become lines. Smoothed pixel edges stay
+        // within half a pixel of a true line, so curved runs are not
+        // flattened at the same tolerance as the polyline simplifier
+        let lineError = 0;
+        let lineSplit = first + 1;
+        for (let i = first + 1; i < last; i++) {
+            const dist = segmentDistance(points[i], p0, p3);
+            if (dist > lineError) {
+                lineError = dist;
+                lineSplit = i;
+            }
+        }
+
+        if (last - first < 2 || lineError <= opts.pathSimplify / 2) {
+            segments.push({ type: 'L', x: p3.x, y: p3.y });
+            return;
+        }
+
+        const tolerance = opts.curveTolerance;
+        const degree = opts.curveType === 'quadratic' ? 2 : 3;
+        let params = chordLengthParams(points, first, last);
+        let ctrl = this.generateBezier(points, first, last, params, tan1, tan2, degree);
+        let split = lineSplit;
+
+        if (ctrl) {
+            let [error, worst] = bezierError(points, first, last, ctrl, params);
+
+            // Close misses are retried with better parameters before splitting
+            for (let iter = 0; error > tolerance && error <= tolerance * 4 && iter < 4; iter++) {
+                params = reparameterize(points, first, last, ctrl, params);
+                ctrl = this.generateBezier(points, first, last, params, tan1, tan2, degree);
+                if (!ctrl) break;
+                [error, worst] = bezierError(points, first, last, ctrl, params);
+            }
+
+            if (ctrl && error <= tolerance) {
+                segments.push(degree === 2
+                    ? { type: 'Q', x1: ctrl[1].x, y1: ctrl[1].y, x: p3.x, y: p3.y }
+                    : { type: 'C', x1: ctrl[1].x, y1: ctrl[1].y, x2: ctrl[2].x, y2: ctrl[2].y, x: p3.x, y: p3.y });
+                return;
+            }
+            split = worst;
+        }
+
+        const center = unitVector(points[split + 1], points[split - 1]);
+        this.fitCurve(points, first, split, tan1, center, opts, segments);
+        this.fitCurve(points, split, last, { x: -center.x, y: -center.y }, tan2, opts, segments);
+    }
+
+    /**
+     * Compute the control points of a Bezier through points[first..last]
+     * with the given end tangents. Returns null when no usable curve exists.
+     */
+    generateBezier(points, first, last, params, tan1, tan2, degree) {
+        const p0 = points[first];
+        const p3 = points[last];
+
+        if (degree === 2) {
+            // The control point is where the two end tangents meet
+            const det = tan1.x * tan2.y - tan1.y * tan2.x;
+            if (Math.abs(det) < 1e-9) return null;
+
+            const dx = p3.x - p0.x;
+            const dy = p3.y - p0.y;
+            const s = (dx * tan2.y - dy * tan2.x) / det;
+            const t = (dx * tan1.y - dy * tan1.x) / det;
+            if (s <= 0 || t <= 0) return null;
+
+            return [p0, { x: p0.x + tan1.x * s, y: p0.y + tan1.y * s }, p3];
+        }
+
+        // Least-squares handle lengths along the fixed tangents
+        let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+        for (let i = first; i <= last; i++) {
+            const u = params[i - first];
+            const mu = 1 - u;
+            const b0 = mu * mu * mu;
+            const b1 = 3 * u * mu * mu;
+            const b2 = 3 * u * u * mu;
+            const b3 = u * u * u;
+            const a1 = { x: tan1.x * b1, y: tan1.y * b1 };
+            const a2 = { x: tan2.x * b2, y: tan2.y * b2 };
+
+            c00 += a1.x * a1.x + a1.y * a1.y;
+            c01 += a1.x * a2.x + a1.y * a2.y;
+            c11 += a2.x * a2.x + a2.y * a2.y;
+
+            const tx = points[i].x - (p0.x * (b0 + b1) + p3.x * (b2 + b3));
+            const ty = points[i].y - (p0.y * (b0 + b1) + p3.y * (b2 + b3));
+            x0 += a1.x * tx + a1.y * ty;
+            x1 += a2.x * tx + a2.y * ty;
+        }
+
+        const det = c00 * c11 - c01 * c01;
+        const chord = Math.hypot(p3.x - p0.x, p3.y - p0.y);
+        let alpha1 = det === 0 ? 0 : (x0 * c11 - x1 * c01) / det;
+        let alpha2 = det === 0 ? 0 : (c00 * x1 - c01 * x0) / det;
+
+        // Fall back to a third of the chord when the solution degenerates
+        if (alpha1 < chord * 1e-6 || alpha2 < chord * 1e-6) {
+            alpha1 = alpha2 = chord / 3;
+        }
+
+        return [
+            p0,
+            { x: p0.x + tan1.x * alpha1, y: p0.y + tan1.y * alpha1 },
+            { x: p3.x + tan2.x * alpha2, y: p3.y + tan2.y * alpha2 },
+            p3
+        ];
+    }
+
+    /**
+     * Convert a fitted contour to SVG path data, with coordinates rounded
+     * to `precision` decimals
+     */
+    segmentsToPathData(start, segments, precision = 1) {
+        const f = (value) => formatCoord(value, precision);
+        let d = `M${f(start.x)} ${f(start.y)}`;
+        let prev = start;
+
+        // The closing line back to the start is implied by Z
+        const last = segments[segments.length - 1];
+        const count = last && last.type === 'L' && last.x === start.x && last.y === start.y
+            ? segments.length - 1
+            : segments.length;
+
+        for (let i = 0; i < count; i++) {
+            const s = segments[i];
+            if (s.type === 'C') {
+                d += `C${f(s.x1)} ${f(s.y1)} ${f(s.x2)} ${f(s.y2)} ${f(s.x)} ${f(s.y)}`;
+            } else if (s.type === 'Q') {
+                d += `Q${f(s.x1)} ${f(s.y1)} ${f(s.x)} ${f(s.y)}`;
+            } else if (s.y === prev.y) {
+                d += `H${f(s.x)}`;
+            } else if (s.x === prev.x) {
+                d += `V${f(s.y)}`;
+            } else {
+                d += `L${f(s.x)} ${f(s.y)}`;
+            }
+            prev = s;
+        }
+
+        return d + 'Z';
+    }
+
+    /**
+     * Split the borders between regions of different colors into shared
+     * edges. An edge runs between two junctions (corners where three or
+     * more borders meet, and the image corners), or is a closed loop
+     * without junctions, and
+     * separates exactly one pair of colors. Each edge is walked once and
+     * records the color on its right and on its left (-1 for transparent
+     * pixels and the outside of the image).
+     *
+     * With a tile ({ x, y, imageWidth, imageHeight }), width and height are
+     * the tile's and indexed also holds a one pixel ring around it from its
+     * neighbors. The tile walks the borders of its own pixels and those on
+     * the image's bottom and right sides; edges leaving it are cut where
+     * they cross into the next tile and flagged cutFrom or cutTo, for
+     * stitchEdges. Vertices and points are in image coordinates.
+     */
+    traceSharedEdges(indexed, width, height, tile = null) {
+        const stride = width + 1;
+        // Border edges per lattice vertex, one bit per direction
+        const borders = new Uint8Array(stride * (height + 1));
+        // Direction vectors: east, south, west, north
+        const dx = [1, 0, -1, 0];
+        const dy = [0, 1, 0, -1];
+
+        const color = tile
+            ? (x, y) => indexed[(y + 1) * (width + 2) + x + 1]
+            : (x, y) => x >= 0 && x < width && y >= 0 && y < height ? indexed[y * width + x] : -1;
+
+        // The pixels on the right and left of a unit edge walked from (x, y)
+        const sides = (x, y, dir) => {
+            switch (dir) {
+                case 0: return [color(x, y), color(x, y - 1)];
+                case 1: return [color(x - 1, y), color(x, y)];
+                case 2: return [color(x - 1, y - 1), color(x - 1, y)];
+                default: return [color(x, y - 1), color(x - 1, y - 1)];
+            }
+        };
+        const isBorder = (x, y, dir) => {
+            const [right, left] = sides(x, y, dir);
+            return right !== left;
+        };
+
+        for (let y = 0; y <= height; y++) {
+            for (let x = 0; x <= width; x++) {
+                const v = y * stride + x;
+                if (x < width && isBorder(x, y, 0)) {
+                    borders[v] |= 1;
+                    borders[v + 1] |= 4;
+                }
+                if (y < height && isBorder(x, y, 1)) {
+                    borders[v] |= 2;
+                    borders[v + stride] |= 8;
+                }
+            }
+        }
+
+        // Borders a tile walks. Those leaving it count toward junctions but
+        // belong to its neighbors, as do its bottom and right sides unless
+        // they are the image's.
+        let walkable = borders;
+        if (tile) {
+            for (let y = 0; y <= height; y++) {
+                if (isBorder(0, y, 2)) borders[y * stride] |= 4;
+                if (isBorder(width, y, 0)) borders[y * stride + width] |= 1;
+            }
+            for (let x = 0; x <= width; x++) {
+                if (isBorder(x, 0, 3)) borders[x] |= 8;
+                if (isBorder(x, height, 1)) borders[height * stride + x] |= 2;
+            }
+
+            const ownsRight = tile.x + width === tile.imageWidth;
+            const ownsBottom = tile.y + height === tile.imageHeight;
+            walkable = borders.map((bits, v) => {
+                const x = v % stride;
+                const y = (v - x) / stride;
+                if (x === 0) bits &= ~4;
+                if (y === 0) bits &= ~8;
+                if (x === width) bits &= ownsRight ? ~1 : ~(1 | 2 | 8);
+                if (y === height) bits &= ownsBottom ? ~2 : ~(1 | 2 | 4);
+                return bits;
+            });
+        }
+
+        const degree = (v) => (borders[v] & 1) + (borders[v] >> 1 & 1) + (borders[v] >> 2 & 1) + (borders[v] >> 3 & 1);
+
+        // Vertex ids and points in image coordinates
+        const offsetX = tile ? tile.x : 0;
+        const offsetY = tile ? tile.y : 0;
+        const imageStride = tile ? tile.imageWidth + 1 : stride;
+        const id = (v) => (offsetY + Math.floor(v / stride)) * imageStride + offsetX + v % stride;
+
+        // Image corners are pinned like junctions so no edge can cut them off
+        const imageWidth = tile ? tile.imageWidth : width;
+        const imageHeight = tile ? tile.imageHeight : height;
+        const corners = new Set([0, imageWidth, imageHeight * imageStride, imageHeight * imageStride + imageWidth]);
+        const isJunction = (v) => degree(v) > 2 || (corners.has(id(v)) && borders[v] !== 0);
+        // A tile's walk stops where a border crosses into the next tile
+        const isCut = (v) => walkable[v] !== borders[v] && !isJunction(v);
+        const used = new Uint8Array(borders.length);
+        const edges = [];
+
+        const walk = (start, startDir) => {
+            const [right, left] = sides(start % stride, Math.floor(start / stride), startDir);
+            const point = (v) => ({ x: offsetX + v % stride, y: offsetY + Math.floor(v / stride) });
+            const points = [point(start)];
+            let v = start;
+            let dir = startDir;
+
+            for (;;) {
+                used[v] |= 1 << dir;
+                v += dx[dir] + dy[dir] * stride;
+                used[v] |= 1 << ((dir + 2) % 4);
+
+                if (v === start || isJunction(v) || isCut(v)) {
+                    points.push(point(v));
+                    break;
+                }
+
+                // Continue along the only other border edge
+                const next = [0, 1, 2, 3].find(d => d !== (dir + 2) % 4 && walkable[v] & (1 << d));
+                if (next !== dir) points.push(point(v));
+                dir = next;
+            }
+
+            const closed = v === start && !isJunction(v);
+            if (closed) points.pop();
+
+            const edge = { points, right, left, closed, from: id(start), to: id(v), firstDir: startDir, lastDir: dir };
+            if (tile) {
+                edge.cutFrom = isCut(start);
+                edge.cutTo = isCut(v);
+            }
+            edges.push(edge);
+        };
+
+        // Edges between junctions (and cuts) first, then the remaining closed loops
+        for (let v = 0; v < borders.length; v++) {
+            if (!isJunction(v) && !isCut(v)) continue;
+            for (let dir = 0; dir < 4; dir++) {
+                if (walkable[v] & ~used[v] & (1 << dir)) walk(v, dir);
+            }
+        }
+        for (let v = 0; v < borders.length; v++) {
+            if (walkable[v] & ~used[v]) {
+                // The first vertex of a loop in raster order is its top-left corner
+                walk(v, 0);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Join edge pieces cut at tile sides by traceSharedEdges into whole
+     * edges, each walked from the end and in the direction an untiled
+     * trace would walk it. Every cut vertex joins exactly two pieces.
+     */
+    stitchEdges(pieces, imageWidth) {
+        const atCut = new Map();
+        for (const piece of pieces) {
+            if (piece.cutFrom) atCut.set(piece.from, [...(atCut.get(piece.from) || []), piece]);
+            if (piece.cutTo) atCut.set(piece.to, [...(atCut.get(piece.to) || []), piece]);
+        }
+        const other = (v, piece) => atCut.get(v).find(p => p !== piece);
+        // Pieces walked backwards remember the piece they came from
+        const reverse = (piece) => ({ ...this.reverseEdge(piece), original: piece });
+
+        const used = new Set();
+        const edges = [];
+        for (const piece of pieces) {
+            if (used.has(piece)) continue;
+
+            // Back up to a junction end, or anywhere on a closed loop
+            let first = piece;
+            while (first.cutFrom) {
+                const prev = other(first.from, first.original || first);
+                if (prev === piece) break;
+                first = prev.to === first.from ? prev : reverse(prev);
+            }
+
+            const chain = [first];
+            let last = first;
+            while (last.cutTo) {
+                const next = other(last.to, last.original || last);
+                if (next === (first.original || first)) break;
+                last = next.from === last.to ? next : reverse(next);
+                chain.push(last);
+            }
+            chain.forEach(p => used.add(p.original || p));
+
+            // Cut vertices where the border runs straight on are no points
+            const points = [...first.points];
+            for (let i = 1; i < chain.length; i++) {
+                if (chain[i - 1].lastDir === chain[i].firstDir) points.pop();
+                points.push(...chain[i].points.slice(1));
+            }
+
+            const edge = {
+                points, right: first.right, left: first.left, closed: false,
+                from: first.from, to: last.to, firstDir: first.firstDir, lastDir: last.lastDir
+            };
+            if (last.cutTo) {
+                // A loop: its first point is the corner closing it, if any
+                points.pop();
+                if (last.lastDir === first.firstDir) points.shift();
+                edges.push(this.startClosedEdge(edge, imageWidth));
+            } else if (edge.from > edge.to ||
+                (edge.from === edge.to && edge.firstDir > (edge.lastDir + 2) % 4)) {
+                edges.push(this.reverseEdge(edge));
+            } else {
+                edges.push(edge);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * An edge walked the other way, which swaps its sides
+     */
+    reverseEdge(edge) {
+        return {
+            points: [...edge.points].reverse(),
+            right: edge.left,
+            left: edge.right,
+            closed: edge.closed,
+            from: edge.to,
+            to: edge.from,
+            firstDir: (edge.lastDir + 2) % 4,
+            lastDir: (edge.firstDir + 2) % 4,
+            cutFrom: edge.cutTo,
+            cutTo: edge.cutFrom
+        };
+    }
+
+    /**
+     * Start a closed loop at its top-left corner heading east, where
+     * traceSharedEdges starts the loops it finds whole
+     */
+    startClosedEdge(edge, imageWidth) {
+        let { points, right, left } = edge;
+        let start = 0;
+        for (let i = 1; i < points.length; i++) {
+            const p = points[i], q = points[start];
+            if (p.y < q.y || (p.y === q.y && p.x < q.x)) start = i;
+        }
+        points = [...points.slice(start), ...points.slice(0, start)];
+
+        // Heading south instead: walk it the other way round
+        if (points[1].y !== points[0].y) {
+            points = [points[0], ...points.slice(1).reverse()];
+            [right, left] = [left, right];
+        }
+
+        const v = points[0].y * (imageWidth + 1) + points[0].x;
+        return {
+            points, right, left, closed: true,
+            from: v, to: v, firstDir: 0, lastDir: 3
+        };
+    }
+
+    /**
+     * Replace the pixel staircase of an open edge with the midpoints of its
+     * steps, like smoothContour. The end points are junctions and stay fixed.
+     */
+    smoothEdge(points, rightAngleEnhance) {
+        const n = points.length;
+        const smoothed = [{ x: points[0].x, y: points[0].y, corner: true }];
+
+        for (let i = 0; i < n - 1; i++) {
+            const p = points[i];
+            const next = points[i + 1];
+
+            if (i > 0 && rightAngleEnhance) {
+                const prev = points[i - 1];
+                const inLength = Math.abs(p.x - prev.x) + Math.abs(p.y - prev.y);
+                const outLength = Math.abs(next.x - p.x) + Math.abs(next.y - p.y);
+                if (inLength >= 2 && outLength >= 2) {
+                    smoothed.push({ x: p.x, y: p.y, corner: true });
+                }
+            }
+            smoothed.push({ x: (p.x + next.x) / 2, y: (p.y + next.y) / 2, corner: false });
+        }
+        smoothed.push({ x: points[n - 1].x, y: points[n - 1].y, corner: true });
+
+        // Flag sharp turns as corners too
+        for (let i = 1; i < smoothed.length - 1; i++) {
+            const p = smoothed[i];
+            if (p.corner) continue;
+
+            const prev = smoothed[i - 1];
+            const next = smoothed[i + 1];
+            const ax = p.x - prev.x, ay = p.y - prev.y;
+            const bx = next.x - p.x, by = next.y - p.y;
+            const cos = (ax * bx + ay * by) / (Math.hypot(ax, ay) * Math.hypot(bx, by));
+            p.corner = cos < CORNER_COS;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Fit or simplify a shared edge once, for both regions it separates.
+     * Returns its start point and segments, like fitContour.
+     */
+    fitEdge(edge, opts) {
+        const { points } = edge;
+
+        if (opts.traceMode === 'pixelart') {
+            const corners = this.staircaseCorners(points, edge.closed);
+            const segments = corners.slice(1).map(p => ({ type: 'L', x: p.x, y: p.y }));
+            if (edge.closed) segments.push({ type: 'L', x: corners[0].x, y: corners[0].y });
+            return { start: corners[0], segments };
+        }
+
+        if (opts.curveTolerance <= 0) {
+            const simplified = edge.closed
+                ? this.simplifyClosedPath(points, opts.pathSimplify)
+                : this.simplifyPath(points, opts.pathSimplify);
+            const segments = simplified.slice(1).map(p => ({ type: 'L', x: p.x, y: p.y }));
+            if (edge.closed) segments.push({ type: 'L', x: simplified[0].x, y: simplified[0].y });
+            return { start: simplified[0], segments };
+        }
+
+        if (edge.closed) return this.fitContour(points, opts);
+
+        const smoothed = this.smoothEdge(points, opts.rightAngleEnhance !== false);
+        const segments = [];
+        let from = 0;
+
+        for (let i = 1; i < smoothed.length; i++) {
+            if (!smoothed[i].corner) continue;
+
+            const piece = smoothed.slice(from, i + 1);
+            const tan1 = unitVector(piece[0], piece[1]);
+            const tan2 = unitVector(piece[piece.length - 1], piece[piece.length - 2]);
+            this.fitCurve(piece, 0, piece.length - 1, tan1, tan2, opts, segments);
+            from = i;
+        }
+
+        return { start: smoothed[0], segments };
+    }
+
+    /**
+     * Reverse fitted segments, for the region on the other side of an edge
+     */
+    reverseSegments({ start, segments }) {
+        const ends = [start, ...segments];
+        const reversed = [];
+
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const s = segments[i];
+            const to = { x: ends[i].x, y: ends[i].y };
+            if (s.type === 'C') {
+                reversed.push({ type: 'C', x1: s.x2, y1: s.y2, x2: s.x1, y2: s.y1, ...to });
+            } else if (s.type === 'Q') {
+                reversed.push({ type: 'Q', x1: s.x1, y1: s.y1, ...to });
+            } else {
+                reversed.push({ type: 'L', ...to });
+            }
+        }
+
+        const last = segments[segments.length - 1];
+        return { start: { x: last.x, y: last.y }, segments: reversed };
+    }
+
+    /**
+     * Trace every color as compound path data built from shared edges.
+     * Neighboring colors reuse the same fitted edge, walked in opposite
+     * directions, so they meet exactly with no gaps or overlaps.
+     * Returns path data per palette index.
+     */
+    createSharedEdgePaths(indexed, width, height, paletteSize, opts) {
+        const edges = this.traceSharedEdges(indexed, width, height);
+        return this.assembleSharedEdgePaths(edges, this.fitEdges(edges, opts), paletteSize, opts.coordinatePrecision);
+    }
+
+    /**
+     * Fit a batch of shared edges (one trace task)
+     */
+    fitEdges(edges, opts) {
+        return edges.map(edge => this.fitEdge(edge, opts));
+    }
+
+    /**
+     * Chain fitted shared edges into closed loops, one compound path per
+     * palette color. fitted[k] is the fit of edges[k].
+     */
+    assembleSharedEdgePaths(edges, fitted, paletteSize, precision = 1) {
+        const halves = Array.from({ length: paletteSize }, () => []);
+
+        // Each edge is used by the color on its right as is and by the
+        // color on its left reversed, keeping every region on the right
+        edges.forEach((edge, k) => {
+            if (edge.right >= 0) {
+                halves[edge.right].push({
+                    edge, from: edge.from, to: edge.to, firstDir: edge.firstDir, lastDir: edge.lastDir,
+                    fitted: () => fitted[k]
+                });
+            }
+            if (edge.left >= 0) {
+                halves[edge.left].push({
+                    edge, from: edge.to, to: edge.from, firstDir: (edge.lastDir + 2) % 4, lastDir: (edge.firstDir + 2) % 4,
+                    fitted: () => edge.reversed || (edge.reversed = this.reverseSegments(fitted[k]))
+                });
+            }
+        });
+
+        return halves.map(colorHalves => {
+            const outgoing = new Map();
+            for (const half of colorHalves) {
+                if (half.edge.closed) continue;
+                if (!outgoing.has(half.from)) outgoing.set(half.from, []);
+                outgoing.get(half.from).push(half);
+            }
+
+            let d = '';
+            for (const first of colorHalves) {
+                if (first.used) continue;
+                first.used = true;
+
+                const { start, segments } = first.fitted();
+                const loop = [...segments];
+
+                // Chain edges at junctions, preferring right turns like traceContours
+                let current = first;
+                while (!current.edge.closed) {
+                    const candidates = (outgoing.get(current.to) || []).filter(h => !h.used || h === first);
+                    let next = null;
+                    for (const turn of [1, 0, 3]) {
+                        next = candidates.find(h => h.firstDir === (current.lastDir + turn) % 4);
+                        if (next) break;
+                    }
+                    if (!next || next === first) break;
+
+                    next.used = true;
+                    loop.push(...next.fitted().segments);
+                    current = next;
+                }
+
+                d += this.segmentsToPathData(start, loop, precision);
+            }
+
+            return d;
+        });
+    }
+
+    /**
+     * Order palette colors from bottom to top for stacked layering:
+     * largest area first, or lightest first by luminance
+     */
+    getLayerOrder(indexed, palette, layerOrder) {
+        const areas = new Float64Array(palette.length);
+        for (let i = 0; i < indexed.length; i++) {
+            if (indexed[i] >= 0) areas[indexed[i]]++;
+        }
+
+        const luminance = (c) => 0.299 * c.r + 0.587 * c.g + 0.114 * c.b;
+        return palette
+            .map((_, i) => i)
+            .filter(i => areas[i] > 0)
+            .sort((a, b) => layerOrder === 'luminance'
+                ? luminance(palette[b]) - luminance(palette[a])
+                : areas[b] - areas[a]);
+    }
+
+    /**
+     * Stacked layer masks: each layer covers its own pixels and those of
+     * every opaque layer above it, so later layers always sit on a solid
+     * underlay. Nothing shows through a semi-transparent layer but what is
+     * really below it.
+     */
+    *createStackedMasks(indexed, order, palette) {
+        const rank = new Int32Array(palette.length).fill(-1);
+        order.forEach((colorIdx, position) => { rank[colorIdx] = position; });
+
+        for (let position = 0; position < order.length; position++) {
+            const mask = new Uint8Array(indexed.length);
+            for (let i = 0; i < indexed.length; i++) {
+                const colorIdx = indexed[i];
+                if (colorIdx < 0) continue;
+                if (rank[colorIdx] === position || (rank[colorIdx] > position && palette[colorIdx].a === 255)) {
+                    mask[i] = 1;
+                }
+            }
+            yield { colorIdx: order[position], mask };
+        }
+    }
+
+    /**
+     * Create path data for the outlines of a binary mask
+     */
+    createMaskPath(mask, width, height, opts) {
+        let d = '';
+        for (const contour of this.traceContours(mask, width, height)) {
+            if (opts.traceMode === 'pixelart') {
+                d += this.contourToPathData(this.staircaseCorners(contour, true));
+                continue;
+            }
+            if (opts.curveTolerance > 0) {
+                const { start, segments } = this.fitContour(contour, opts);
+                d += this.segmentsToPathData(start, segments, opts.coordinatePrecision);
+                continue;
+            }
+
+            const simplified = this.simplifyClosedPath(contour, opts.pathSimplify);
+            if (simplified.length >= 3) {
+                d += this.contourToPathData(simplified);
+            }
+        }
+
+        return d;
+    }
+
+    /**
+     * Create a layer of run-length rectangles for a color ("pixel" style)
+     */
+    createPixelLayer(indexed, width, height, colorIdx, fillAttrs) {
+        return this.createRectLayer(this.createColorRects(indexed, width, height, colorIdx), fillAttrs);
+    }
+
+    /**
+     * Create a "pixel" style layer from a color's rectangles
+     */
+    createRectLayer(rects, fillAttrs) {
+        if (rects.length === 0) return '';
+
+        let svg = `  <g ${fillAttrs} shape-rendering="crispEdges">\n`;
+
+        // Convert to path for better compression
+        if (rects.length > 100) {
+            // Use path for many rectangles
+            let pathData = '';
+            for (const rect of rects) {
+                pathData += `M${rect.x} ${rect.y}h${rect.w}v${rect.h}h${-rect.w}z`;
+            }
+            svg += `    <path d="${pathData}"/>\n`;
+        } else {
+            // Use individual rects for few rectangles
+            for (const rect of rects) {
+                svg += `    <rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}"/>\n`;
+            }
+        }
+
+        return svg + `  </g>\n`;
+    }
+
+    /**
+     * Main trace function - creates SVG from image data
+     */
+    trace(data, width, height, options = {}) {
+        const state = this.prepareTrace(data, width, height, options);
+        const results = [];
+        for (const { method, args } of this.createTraceTasks(state)) {
+            results.push(this[method](...args));
+            this.reportTaskProgress(state, results.length);
+        }
+        return this.finishTrace(state, results);
+    }
+
+    /**
+     * Trace like trace(), handing the independent tasks to runTask(method,
+     * args), which resolves to this[method](...args) computed elsewhere, such
+     * as on a worker. At most `concurrency` tasks are pending at once.
+     * Results keep the task order, so the SVG is the same as trace() gives.
+     */
+    async traceAsync(data, width, height, options, runTask, concurrency = 1) {
+        const state = this.prepareTrace(data, width, height, options);
+
+        // Workers share the indexed image instead of copying it per task
+        if (typeof SharedArrayBuffer !== 'undefined') {
+            const shared = new Int16Array(new SharedArrayBuffer(state.indexed.length * 2));
+            shared.set(state.indexed);
+            state.indexed = shared;
+        }
+
+        const tasks = this.createTraceTasks(state);
+        const results = [];
+        let finished = 0;
+        const drain = async () => {
+            for (let task = tasks.next(); !task.done; task = tasks.next()) {
+                const index = results.length;
+                results.push(null);
+                results[index] = await runTask(task.value.method, task.value.args);
+                this.reportTaskProgress(state, ++finished);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.max(1, concurrency) }, drain));
+
+        return this.finishTrace(state, results);
+    }
+
+    /**
+     * Trace an image too large to work on whole, one square tile at a time.
+     * readRegion(x, y, width, height) returns or resolves to the RGBA
+     * pixels of that part of the image. A first pass builds one palette
+     * from every tile; the second maps and traces each tile, reading a
+     * margin around it so blur and despeckle see past its sides, and the
+     * edges cut at tile sides are stitched back together before fitting.
+     * The SVG matches trace() on the whole image, except that despeckle may
+     * settle a cluster of specks at a tile side differently. Stacked
+     * layering and gradients need the whole image and throw.
+     */
+    async traceTiled(width, height, readRegion, options = {}) {
+        const { onProgress, ...opts } = { ...this.options, ...options };
+        const progress = (stage, fraction) => onProgress?.({ stage, fraction });
+        if (opts.traceMode === 'posterize' && opts.posterizeLuminance) {
+            throw new Error('Luminance-only posterize needs the whole image and cannot be tiled');
+        }
+        if (opts.layering === 'stacked') {
+            throw new Error('Stacked layering needs the whole image and cannot be tiled. Use cutout layering or raise memoryLimit');
+        }
+        if (opts.gradients) {
+            throw new Error('Gradient detection needs the whole image and cannot be tiled. Turn off gradients or raise memoryLimit');
+        }
+
+        const tileSize = this.getTileSize(width, height, opts) || Math.max(width, height);
+        const tiles = [];
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                tiles.push({ x, y, width: Math.min(tileSize, width - x), height: Math.min(tileSize, height - y) });
+            }
+        }
+
+        // Background removal needs the background connected to the border
+        // before any tile is read, which a pass of its own finds
+        const background = opts.removeBg
+            ? await this.findTiledBackground(width, height, tiles, readRegion, opts)
+            : null;
+
+        // A tile grown by a margin and clipped to the image, preprocessed
+        const readWindow = async (tile, margin, windowOpts = opts) => {
+            const x = Math.max(0, tile.x - margin);
+            const y = Math.max(0, tile.y - margin);
+            const window = {
+                x, y,
+                width: Math.min(width, tile.x + tile.width + margin) - x,
+                height: Math.min(height, tile.y + tile.height + margin) - y
+            };
+            const data = await readRegion(window.x, window.y, window.width, window.height);
+            if (background) this.clearBackground(data, background, window);
+            return { window, data: this.preprocess(data, window.width, window.height, windowOpts) };
+        };
+        const filterMargin = this.getFilterMargin(opts);
+
+        // Otsu's threshold needs the gray levels of the whole image, which
+        // are counted in a pass of their own and then used as a fixed one
+        if (opts.traceMode === 'monochrome' && opts.thresholdMethod === 'otsu') {
+            const counts = new Float64Array(256);
+            for (const tile of tiles) {
+                const { window, data } = await readWindow(tile, filterMargin, { ...opts, traceMode: 'color' });
+                this.grayHistogram(cropPixels(data, window, tile), opts.alphaCutoff, counts);
+            }
+            opts.thresholdMethod = 'fixed';
+            opts.threshold = this.otsuThreshold(counts) + 0.5;
+        }
+
+        // First pass: one palette for the whole image
+        progress('palette', 0);
+        let palette;
+        if (opts.palette) {
+            palette = parsePalette(opts.palette).map(color => ({ ...color, a: 255 }));
+        } else {
+            const exact = opts.traceMode === 'posterize' || opts.traceMode === 'pixelart';
+            const counts = exact ? new Map() : this.createColorHistogram();
+            for (const [n, tile] of tiles.entries()) {
+                const { window, data } = await readWindow(tile, filterMargin);
+                const pixels = cropPixels(data, window, tile);
+                if (exact) {
+                    this.countExactColors(pixels, opts.alphaCutoff, counts);
+                } else {
+                    this.addToHistogram(counts, pixels, opts.alphaCutoff);
+                }
+                progress('palette', TRACE_PROGRESS_START * (n + 1) / tiles.length);
+            }
+            palette = exact
+                ? this.checkExactPalette(this.exactPaletteFromCounts(counts), opts)
+                : this.quantizeHistogram(this.histogramColors(counts), opts.traceMode === 'monochrome' ? 2 : opts.colorCount, opts);
+        }
+
+        // Second pass: map and trace each tile. Specks smaller than the
+        // despeckle area fit in a margin that wide.
+        const metric = getColorMetric(opts.colorDistance);
+        const margin = this.getTileMargin(opts);
+        const indexTile = async (tile) => {
+            const { window, data } = await readWindow(tile, margin);
+            let indexed = this.mapToPalette(data, palette, metric, opts.alphaCutoff);
+            if (opts.despeckle > 0) {
+                indexed = this.despeckle(indexed, window.width, window.height, opts.despeckle);
+            }
+            return { window, indexed };
+        };
+
+        // Despeckle can still settle a pixel near a tile side differently
+        // than the tile holding it, and tiles must agree on the borders
+        // they share. So with despeckle every tile is indexed once up
+        // front to keep its outermost pixels, and each tile traces with a
+        // ring of its neighbors' own pixels.
+        const outlines = [];
+        const steps = opts.despeckle > 0 && opts.traceStyle !== 'pixel' ? tiles.length * 2 : tiles.length;
+        const stepDone = (step) => {
+            progress('tracing', TRACE_PROGRESS_START + (1 - TRACE_PROGRESS_START) * step / steps);
+        };
+        if (steps > tiles.length) {
+            for (const [n, tile] of tiles.entries()) {
+                const { window, indexed } = await indexTile(tile);
+                outlines.push([
+                    { x: tile.x, y: tile.y, width: tile.width, height: 1 },
+                    { x: tile.x, y: tile.y + tile.height - 1, width: tile.width, height: 1 },
+                    { x: tile.x, y: tile.y, width: 1, height: tile.height },
+                    { x: tile.x + tile.width - 1, y: tile.y, width: 1, height: tile.height }
+                ].map(rect => ({ rect, values: cropIndexed(indexed, window, rect) })));
+                stepDone(n + 1);
+            }
+        }
+        const columns = Math.ceil(width / tileSize);
+        const heldPixel = (x, y) => {
+            for (const { rect, values } of outlines[Math.floor(y / tileSize) * columns + Math.floor(x / tileSize)]) {
+                if (x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height) {
+                    return values[(y - rect.y) * rect.width + x - rect.x];
+                }
+            }
+        };
+
+        const rects = palette.map(() => []);
+        const edges = [];
+        const fitted = [];
+        const pieces = [];
+
+        for (const [n, tile] of tiles.entries()) {
+            const { window, indexed } = await indexTile(tile);
+
+            if (opts.traceStyle === 'pixel') {
+                const core = cropIndexed(indexed, window, tile);
+                for (let i = 0; i < palette.length; i++) {
+                    for (const run of this.createColorRuns(core, tile.width, tile.height, i)) {
+                        rects[i].push({ ...run, x: run.x + tile.x, y: run.y + tile.y });
+                    }
+                }
+            } else {
+                // Whole edges are fitted right away, keeping only their curves
+                const ring = { x: tile.x - 1, y: tile.y - 1, width: tile.width + 2, height: tile.height + 2 };
+                const ringed = cropIndexed(indexed, window, ring);
+                if (outlines.length > 0) {
+                    for (let i = 0; i < ringed.length; i++) {
+                        const x = ring.x + i % ring.width;
+                        const y = ring.y + Math.floor(i / ring.width);
+                        const inTile = x >= tile.x && x < tile.x + tile.width && y >= tile.y && y < tile.y + tile.height;
+                        if (!inTile && x >= 0 && x < width && y >= 0 && y < height) {
+                            ringed[i] = heldPixel(x, y);
+                        }
+                    }
+                }
+
+                const bounds = { x: tile.x, y: tile.y, imageWidth: width, imageHeight: height };
+                for (const edge of this.traceSharedEdges(ringed, tile.width, tile.height, bounds)) {
+                    if (edge.cutFrom || edge.cutTo) {
+                        pieces.push(edge);
+                        continue;
+                    }
+                    fitted.push(this.fitEdge(edge, opts));
+                    edge.points = null;
+                    edges.push(edge);
+                }
+            }
+            stepDone(steps - tiles.length + n + 1);
+        }
+
+        const { header, fillAttrs } = this.createSVGHeader(width, height, palette, opts);
+        const state = { opts, width, height, palette, header, fillAttrs, onProgress };
+        if (opts.traceStyle === 'pixel') {
+            // Rejoin runs cut at tile sides, then merge them as trace() does
+            return this.finishTrace(state, palette.map((color, i) => {
+                const runs = [];
+                for (const run of rects[i].sort((a, b) => a.y - b.y || a.x - b.x)) {
+                    const prev = runs[runs.length - 1];
+                    if (prev && prev.y === run.y && prev.x + prev.w === run.x) {
+                        prev.w += run.w;
+                    } else {
+                        runs.push(run);
+                    }
+                }
+                return this.createRectLayer(this.mergeRects(runs), fillAttrs(color));
+            }));
+        }
+
+        for (const edge of this.stitchEdges(pieces, width)) {
+            fitted.push(this.fitEdge(edge, opts));
+            edges.push(edge);
+        }
+
+        // Put the edges in the order an untiled trace finds them
+        const order = edges.map((_, k) => k).sort((a, b) => compareEdges(edges[a], edges[b]));
+        state.edges = order.map(k => edges[k]);
+        return this.finishTrace(state, order.map(k => fitted[k]));
+    }
+
+    /**
+     * Pixels a tile reads past each of its sides, so that blur and
+     * despeckle come out as they would on the whole image
+     */
+    getTileMargin(opts = this.options) {
+        return this.getFilterMargin(opts) + Math.max(0, Math.ceil(opts.despeckle)) + 1;
+    }
+
+    /**
+     * Pixels the denoise and blur filters, and local thresholds, read past
+     * a region's sides
+     */
+    getFilterMargin(opts = this.options) {
+        const denoise = opts.denoise && opts.denoise !== 'none' ? Math.max(0, Math.round(opts.denoiseRadius)) : 0;
+        const local = opts.traceMode === 'monochrome' &&
+            (opts.thresholdMethod === 'adaptive-mean' || opts.thresholdMethod === 'sauvola');
+        const threshold = local ? Math.max(1, Math.floor(opts.thresholdWindow / 2)) : 0;
+        return denoise + Math.max(0, Math.round(opts.blurRadius)) + threshold;
+    }
+
+    /**
+     * Side of the square tiles traceTiled() works in: opts.tileSize, or the
+     * largest whose pixels and margin fit in opts.memoryLimit megabytes.
+     * 0 when the image needs no tiles.
+     */
+    getTileSize(width, height, opts = this.options) {
+        let size = opts.tileSize;
+        if (!(size > 0)) {
+            const budget = opts.memoryLimit * 1024 * 1024;
+            if (!(budget > 0) || width * height * TILE_BYTES_PER_PIXEL <= budget) return 0;
+            size = Math.floor(Math.sqrt(budget / TILE_BYTES_PER_PIXEL)) - 2 * this.getTileMargin(opts);
+        }
+
+        size = Math.max(TILE_MIN_SIZE, Math.floor(size));
+        return width <= size && height <= size ? 0 : size;
+    }
+
+    /**
+     * Pick trace settings for an image. Estimates its dominant colors and
+     * noise level, traces its most detailed AUTO_SAMPLE_SIZE square with
+     * candidate color counts, blur radii and path simplification, and
+     * keeps the smallest SVG whose error is close to the most faithful
+     * candidate's. `rasterize(svg, width, height)` resolves to the RGBA
+     * pixels of an SVG; `trace` stands in for trace() on the candidates,
+     * such as to run them on a worker. Resolves to `{ options, analysis,
+     * candidates }`, where `options` are the chosen settings.
+     */
+    async autoTune(data, width, height, options = {}, { rasterize, trace = null } = {}) {
+        const { onProgress, ...opts } = { ...this.options, ...options };
+        const traceSample = trace || ((pixels, w, h, o) => this.trace(pixels, w, h, o));
+
+        const colors = this.colorHistogram(data, opts.alphaCutoff);
+        const dominantColors = this.countDominantColors(colors);
+        const window = this.findDetailWindow(data, width, height);
+        const sample = cropPixels(data, { x: 0, y: 0, width, height }, window);
+        const noise = this.estimateNoise(sample, window.width, window.height, opts.alphaCutoff);
+        const denoise = noise > AUTO_NOISE_LEVEL ? 'median' : 'none';
+
+        // Candidates are measured against the sample as the tracer sees it
+        const target = denoise === 'median'
+            ? this.median(sample, window.width, window.height, opts.denoiseRadius)
+            : sample;
+
+        // Monochrome, posterize and pixel art set their own colors
+        const colorCounts = opts.palette || ['monochrome', 'posterize', 'pixelart'].includes(opts.traceMode)
+            ? [opts.colorCount]
+            : [...new Set(AUTO_COLOR_FACTORS.map(f => Math.min(64, Math.max(2, Math.round(dominantColors * f)))))];
+        const blurRadii = denoise === 'none' ? [0] : [0, 1];
+        const candidates = [];
+        for (const colorCount of colorCounts) {
+            // The whole image's palette, so that a sample holding fewer
+            // colors still tells color counts apart. It keeps its alpha,
+            // which a fixed palette would not.
+            const quantizedPalette = !opts.palette && opts.traceMode === 'color'
+                ? this.quantizeHistogram(colors, colorCount, opts)
+                : null;
+            for (const blurRadius of blurRadii) {
+                for (const pathSimplify of AUTO_SIMPLIFY_STEPS) {
+                    const settings = { colorCount, blurRadius, pathSimplify, denoise };
+                    const svg = await traceSample(sample, window.width, window.height, { ...opts, ...settings, quantizedPalette });
+                    const pixels = await rasterize(svg, window.width, window.height);
+                    candidates.push({ options: settings, error: this.meanPixelError(target, pixels), bytes: svg.length });
+                }
+            }
+        }
+
+        const lowest = Math.min(...candidates.map(c => c.error));
+        const best = candidates
+            .filter(c => c.error <= lowest * AUTO_ERROR_SLACK + AUTO_ERROR_MARGIN)
+            .reduce((a, b) => b.bytes < a.bytes || (b.bytes === a.bytes && b.error < a.error) ? b : a);
+
+        return { options: best.options, analysis: { dominantColors, noise, sample: window }, candidates };
+    }
+
+    /**
+     * Count the colors covering at least AUTO_MIN_SHARE of the pixels of
+     * a histogram, counting colors closer than AUTO_MERGE_DISTANCE as one
+     */
+    countDominantColors(colors) {
+        const total = colors.reduce((sum, color) => sum + color.count, 0);
+        const merged = [];
+        for (const color of this.quantizeColors(colors, 32).sort((a, b) => b.count - a.count)) {
+            const near = merged.find(m => rgbaDistance(m, color) < AUTO_MERGE_DISTANCE ** 2);
+            if (near) {
+                near.count += color.count;
+            } else {
+                merged.push({ ...color });
+            }
+        }
+        return Math.max(2, merged.filter(color => color.count >= total * AUTO_MIN_SHARE).length);
+    }
+
+    /**
+     * The AUTO_SAMPLE_SIZE square (or the whole image, if smaller) with the
+     * most change between neighboring pixels, aligned to AUTO_CELL_SIZE
+     */
+    findDetailWindow(data, width, height) {
+        const size = { width: Math.min(AUTO_SAMPLE_SIZE, width), height: Math.min(AUTO_SAMPLE_SIZE, height) };
+        if (size.width === width && size.height === height) {
+            return { x: 0, y: 0, ...size };
+        }
+
+        // Luminance of a pixel shown over black, so transparency counts
+        const luma = (i) => (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * data[i + 3] / 255;
+        const cols = Math.ceil(width / AUTO_CELL_SIZE);
+        const detail = new Float64Array(cols * Math.ceil(height / AUTO_CELL_SIZE));
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y / AUTO_CELL_SIZE) * cols;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const l = luma(i);
+                let change = 0;
+                if (x + 1 < width) change += Math.abs(l - luma(i + 4));
+                if (y + 1 < height) change += Math.abs(l - luma(i + width * 4));
+                detail[row + Math.floor(x / AUTO_CELL_SIZE)] += change;
+            }
+        }
+
+        // Positions on the cell grid, plus the last one that fits
+        const positions = (length, span) => {
+            const result = [];
+            for (let p = 0; p + span < length; p += AUTO_CELL_SIZE) result.push(p);
+            result.push(length - span);
+            return result;
+        };
+        let best = { x: 0, y: 0, ...size };
+        let bestDetail = -1;
+        for (const y of positions(height, size.height)) {
+            for (const x of positions(width, size.width)) {
+                let sum = 0;
+                for (let cy = Math.floor(y / AUTO_CELL_SIZE); cy <= Math.floor((y + size.height - 1) / AUTO_CELL_SIZE); cy++) {
+                    for (let cx = Math.floor(x / AUTO_CELL_SIZE); cx <= Math.floor((x + size.width - 1) / AUTO_CELL_SIZE); cx++) {
+                        sum += detail[cy * cols + cx];
+                    }
+                }
+                if (sum > bestDetail) {
+                    best = { x, y, ...size };
+                    bestDetail = sum;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Noise level of an image: the mean per-channel distance of its opaque
+     * pixels from their hybrid median, which keeps edges and corners, so
+     * only specks and grain count
+     */
+    estimateNoise(data, width, height, alphaCutoff = 128) {
+        const filtered = this.median(data, width, height, 1);
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < alphaCutoff) continue;
+            sum += Math.abs(data[i] - filtered[i]) + Math.abs(data[i + 1] - filtered[i + 1]) +
+                Math.abs(data[i + 2] - filtered[i + 2]);
+            count += 3;
+        }
+        return count ? sum / count : 0;
+    }
+
+    /**
+     * Mean per-channel difference of two RGBA images of the same size.
+     * Colors are weighted by their alpha, so the hidden colors of
+     * transparent pixels do not count.
+     */
+    meanPixelError(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i += 4) {
+            const alphaA = a[i + 3] / 255;
+            const alphaB = b[i + 3] / 255;
+            for (let c = 0; c < 3; c++) sum += Math.abs(a[i + c] * alphaA - b[i + c] * alphaB);
+            sum += Math.abs(a[i + 3] - b[i + 3]);
+        }
+        return sum / a.length;
+    }
+
+    /**
+     * Trace the flat parts of an image and embed its photographic parts.
+     * Photo regions (see findPhotoRegions()) become <image> elements
+     * cropped to their bounds and clipped to their cells, under a trace of
+     * the remaining pixels. encode(pixels, width, height) resolves to the
+     * image URL of a region; trace(pixels, width, height, options) defaults
+     * to this.trace() and lets callers trace elsewhere.
+     */
+    async traceHybrid(data, width, height, options = {}, { encode, trace = null } = {}) {
+        const opts = { ...this.options, ...options };
+        const traceFlat = trace || ((pixels, w, h, o) => this.trace(pixels, w, h, o));
+        const regions = this.findPhotoRegions(data, width, height, opts);
+
+        // Photo pixels are left out of the trace
+        const flat = new Uint8ClampedArray(data);
+        for (const region of regions) {
+            for (const cell of region.cells) {
+                for (let y = cell.y; y < cell.y + cell.height; y++) {
+                    for (let x = cell.x; x < cell.x + cell.width; x++) {
+                        flat[(y * width + x) * 4 + 3] = 0;
+                    }
+                }
+            }
+        }
+        const svg = await traceFlat(flat, width, height, opts);
+
+        let photos = '';
+        const clipPaths = [];
+        for (const region of regions) {
+            const pixels = cropPixels(data, { x: 0, y: 0, width, height }, region);
+            const href = await encode(pixels, region.width, region.height);
+
+            // Regions that do not fill their bounds are clipped to their cells
+            const area = region.cells.reduce((sum, cell) => sum + cell.width * cell.height, 0);
+            let clip = '';
+            if (area < region.width * region.height) {
+                const id = `photo${clipPaths.length}`;
+                const d = this.cellRuns(region.cells)
+                    .map(run => `M${run.x} ${run.y}h${run.width}v${run.height}h${-run.width}Z`)
+                    .join('');
+                clipPaths.push(`    <clipPath id="${id}"><path d="${d}"/></clipPath>\n`);
+                clip = ` clip-path="url(#${id})"`;
+            }
+            photos += `  <image x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}"${clip} xlink:href="${href}"/>\n`;
+        }
+        if (regions.length === 0) return svg;
+
+        // The photos go under the traced paths, after the title and description
+        const defs = clipPaths.length > 0 ? `  <defs>\n${clipPaths.join('')}  </defs>\n` : '';
+        const headerEnd = svg.includes('</desc>\n')
+            ? svg.indexOf('</desc>\n') + '</desc>\n'.length
+            : svg.indexOf('</title>\n') + '</title>\n'.length;
+        return svg.slice(0, headerEnd).replace('<svg ', '<svg xmlns:xlink="http://www.w3.org/1999/xlink" ') +
+            defs + photos + svg.slice(headerEnd);
+    }
+
+    /**
+     * Find the photographic regions of an image for hybrid mode. Cells of
+     * HYBRID_CELL_SIZE whose color entropy reaches opts.hybridThreshold bits
+     * are photographic, as are flat cells they enclose. Each 4-connected
+     * group of at least HYBRID_MIN_CELLS is a region: its bounds plus its
+     * cells, all clipped to the image.
+     */
+    findPhotoRegions(data, width, height, opts) {
+        const cols = Math.ceil(width / HYBRID_CELL_SIZE);
+        const rows = Math.ceil(height / HYBRID_CELL_SIZE);
+        const cellRect = (index) => {
+            const x = (index % cols) * HYBRID_CELL_SIZE;
+            const y = Math.floor(index / cols) * HYBRID_CELL_SIZE;
+            return { x, y, width: Math.min(HYBRID_CELL_SIZE, width - x), height: Math.min(HYBRID_CELL_SIZE, height - y) };
+        };
+
+        const photo = new Uint8Array(cols * rows);
+        for (let i = 0; i < photo.length; i++) {
+            photo[i] = this.cellEntropy(data, width, cellRect(i), opts.alphaCutoff) >= opts.hybridThreshold ? 1 : 0;
+        }
+
+        // Visit the 4-connected cells of a start cell that pass `inside`
+        const flood = (start, inside, visit) => {
+            const stack = [start];
+            visit(start);
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const col = i % cols;
+                const neighbors = [
+                    col > 0 ? i - 1 : -1, col < cols - 1 ? i + 1 : -1,
+                    i >= cols ? i - cols : -1, i + cols < photo.length ? i + cols : -1
+                ];
+                for (const n of neighbors) {
+                    if (n >= 0 && inside(n)) {
+                        visit(n);
+                        stack.push(n);
+                    }
+                }
+            }
+        };
+
+        // Flat cells the border cannot reach are enclosed by photo cells
+        const outside = new Uint8Array(photo.length);
+        for (let i = 0; i < photo.length; i++) {
+            const col = i % cols;
+            const onBorder = col === 0 || col === cols - 1 || i < cols || i >= photo.length - cols;
+            if (onBorder && !photo[i] && !outside[i]) {
+                flood(i, n => !photo[n] && !outside[n], n => { outside[n] = 1; });
+            }
+        }
+        for (let i = 0; i < photo.length; i++) {
+            if (!outside[i]) photo[i] = 1;
+        }
+
+        const regions = [];
+        const seen = new Uint8Array(photo.length);
+        for (let i = 0; i < photo.length; i++) {
+            if (!photo[i] || seen[i]) continue;
+            const cells = [];
+            flood(i, n => photo[n] && !seen[n], n => { seen[n] = 1; cells.push(cellRect(n)); });
+            if (cells.length < HYBRID_MIN_CELLS) continue;
+
+            let x = width, y = height, right = 0, bottom = 0;
+            for (const cell of cells) {
+                x = Math.min(x, cell.x);
+                y = Math.min(y, cell.y);
+                right = Math.max(right, cell.x + cell.width);
+                bottom = Math.max(bottom, cell.y + cell.height);
+            }
+            regions.push({ x, y, width: right - x, height: bottom - y, cells });
+        }
+        return regions;
+    }
+
+    /**
+     * Shannon entropy in bits of the colors in a rect, with channels cut
+     * to 4 bits so that noise in flat colors counts little. Pixels below
+     * the alpha cutoff count as one color.
+     */
+    cellEntropy(data, width, rect, alphaCutoff) {
+        const counts = new Map();
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                const i = (y * width + x) * 4;
+                const key = data[i + 3] < alphaCutoff
+                    ? -1
+                    : ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+
+        const total = rect.width * rect.height;
+        let entropy = 0;
+        for (const count of counts.values()) {
+            const p = count / total;
+            entropy -= p * Math.log2(p);
+        }
+        return entropy;
+    }
+
+    /**
+     * Merge cells into horizontal runs of touching cells in the same row
+     */
+    cellRuns(cells) {
+        const sorted = [...cells].sort((a, b) => a.y - b.y || a.x - b.x);
+        const runs = [];
+        for (const cell of sorted) {
+            const last = runs[runs.length - 1];
+            if (last && last.y === cell.y && last.x + last.width === cell.x) {
+                last.width += cell.width;
+            } else {
+                runs.push({ ...cell });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Everything a trace does before its layers are traced: preprocessing,
+     * the palette, the indexed image and the SVG header
+     */
+    prepareTrace(data, width, height, options) {
+        // The callback stays out of opts, which travels to workers with tasks
+        const { onProgress, ...opts } = { ...this.options, ...options };
+        const progress = (stage, fraction) => onProgress?.({ stage, fraction });
+        progress('preprocess', 0);
+        const processedData = this.preprocess(data, width, height, opts);
+
+        // Get palette. A fixed palette skips quantization, posterized
+        // images already have a fixed set of colors and pixel art keeps
+        // every color it has. autoTune hands its candidates a quantized
+        // RGBA palette, used as it is.
+        const numColors = opts.traceMode === 'monochrome' ? 2 : opts.colorCount;
+        progress('palette', 0.1);
+        let palette;
+        if (opts.quantizedPalette) {
+            palette = opts.quantizedPalette;
+        } else if (opts.palette) {
+            palette = parsePalette(opts.palette).map(color => ({ ...color, a: 255 }));
+        } else if (opts.traceMode === 'posterize' || opts.traceMode === 'pixelart') {
+            palette = this.checkExactPalette(this.getExactPalette(processedData, opts.alphaCutoff), opts);
+        } else {
+            palette = this.getPalette(processedData, width, height, numColors, opts);
+        }
+
+        // Map pixels to palette, then fold specks into their surroundings
+        progress('mapping', 0.25);
+        let indexed = this.mapToPalette(processedData, palette, getColorMetric(opts.colorDistance), opts.alphaCutoff);
+        if (opts.despeckle > 0) {
+            indexed = this.despeckle(indexed, width, height, opts.despeckle);
+        }
+
+        // Replace banded smooth ramps with gradient fills
+        if (opts.gradients && opts.traceStyle !== 'pixel' && opts.traceMode !== 'pixelart') {
+            ({ indexed, palette } = this.detectGradients(processedData, indexed, width, height, palette, opts));
+        }
+
+        progress('tracing', TRACE_PROGRESS_START);
+        const { header, fillAttrs } = this.createSVGHeader(width, height, palette, opts);
+        return { opts, width, height, palette, indexed, header, fillAttrs, onProgress };
+    }
+
+    /**
+     * Denoise, blur and apply the color mode, giving the pixels the palette
+     * is built from and mapped to
+     */
+    preprocess(data, width, height, opts) {
+        if (!DENOISE_FILTERS.includes(opts.denoise)) {
+            throw new Error(`Unknown denoise filter: ${opts.denoise}. Use one of: ${DENOISE_FILTERS.join(', ')}`);
+        }
+        if (!THRESHOLD_METHODS.includes(opts.thresholdMethod)) {
+            throw new Error(`Unknown threshold method: ${opts.thresholdMethod}. Use one of: ${THRESHOLD_METHODS.join(', ')}`);
+        }
+        if (opts.denoise === 'median') {
+            data = this.median(data, width, height, opts.denoiseRadius);
+        } else if (opts.denoise === 'bilateral') {
+            data = this.bilateral(data, width, height, opts.denoiseRadius);
+        }
+        if (opts.blurRadius > 0) {
+            data = this.blur(data, width, height, opts.blurRadius);
+        }
+
+        // Apply color mode
+        if (opts.traceMode === 'grayscale') {
+            return this.toGrayscale(data);
+        } else if (opts.traceMode === 'monochrome') {
+            return this.binarize(data, width, height, opts);
+        } else if (opts.traceMode === 'posterize') {
+            return this.posterize(data, opts.posterizeLevels, opts.posterizeLuminance, opts.alphaCutoff);
+        }
+        return new Uint8ClampedArray(data);
+    }
+
+    /**
+     * The SVG start tag, title and gradient definitions for a palette, and
+     * the fill attributes of each palette color. The SVG is shown
+     * opts.pixelScale times its traced size; pixel art renders crisp.
+     * opts.addViewBox adds a viewBox, which scaled SVGs always need, and
+     * opts.preserveMetadata adds a description.
+     */
+    createSVGHeader(width, height, palette, opts = this.options) {
+        const scale = opts.pixelScale || 1;
+        const crisp = opts.traceMode === 'pixelart' ? ' shape-rendering="crispEdges"' : '';
+        const viewBox = opts.addViewBox || scale !== 1 ? ` viewBox="0 0 ${width} ${height}"` : '';
+        let header = `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}"${viewBox}${crisp}>\n`;
+        header += `  <title>Traced with ATSVG</title>\n`;
+        if (opts.preserveMetadata) {
+            header += `  <desc>Converted with ATSVG</desc>\n`;
+        }
+
+        const gradientIds = new Map();
+        const defs = palette.filter(color => color.gradient).map(color => {
+            const id = `gradient${gradientIds.size}`;
+            gradientIds.set(color, id);
+            return this.createGradientDef(id, color.gradient);
+        });
+        if (defs.length > 0) {
+            header += `  <defs>\n${defs.join('')}  </defs>\n`;
+        }
+
+        // Semi-transparent palette entries keep their alpha as fill-opacity
+        const fillAttrs = (color) => {
+            const fill = gradientIds.has(color)
+                ? `url(#${gradientIds.get(color)})`
+                : color.hex || `rgb(${color.r},${color.g},${color.b})`;
+            return color.a < 255
+                ? `fill="${fill}" fill-opacity="${Math.round(color.a / 255 * 1000) / 1000}"`
+                : `fill="${fill}"`;
+        };
+
+        return { header, fillAttrs };
+    }
+
+    /**
+     * Lines along every pixel side, 1px wide at the SVG's shown size
+     */
+    createPixelGrid(width, height, scale) {
+        let d = '';
+        for (let x = 0; x <= width; x++) d += `M${x} 0V${height}`;
+        for (let y = 0; y <= height; y++) d += `M0 ${y}H${width}`;
+        return `  <path fill="none" stroke="#000" stroke-opacity="0.25" stroke-width="${formatCoord(1 / scale, 3)}" d="${d}"/>\n`;
+    }
+
+    /**
+     * Report progress through the tracing stage after `finished` of its
+     * state.taskCount tasks are done
+     */
+    reportTaskProgress(state, finished) {
+        if (!state.onProgress) return;
+        const fraction = TRACE_PROGRESS_START + (1 - TRACE_PROGRESS_START) * finished / Math.max(1, state.taskCount);
+        state.onProgress({ stage: 'tracing', fraction: Math.min(1, fraction) });
+    }
+
+    /**
+     * The independent tasks of a trace, as tracer method calls on plain
+     * data: one per stacked or pixel layer, or a batch of shared edges to fit
+     */
+    *createTraceTasks(state) {
+        const { opts, width, height, palette, indexed, fillAttrs } = state;
+
+        if (opts.layering === 'stacked' && opts.traceStyle !== 'pixel') {
+            // Each layer also covers everything above it, leaving no seams
+            state.order = this.getLayerOrder(indexed, palette, opts.layerOrder);
+            state.taskCount = state.order.length;
+            for (const { mask } of this.createStackedMasks(indexed, state.order, palette)) {
+                yield { method: 'createMaskPath', args: [mask, width, height, opts] };
+            }
+        } else if (opts.traceStyle === 'pixel') {
+            state.taskCount = palette.length;
+            for (let i = 0; i < palette.length; i++) {
+                yield { method: 'createPixelLayer', args: [indexed, width, height, i, fillAttrs(palette[i])] };
+            }
+        } else {
+            // Region outlines, holes included, as one compound path per color
+            state.edges = this.traceSharedEdges(indexed, width, height);
+            state.taskCount = Math.ceil(state.edges.length / EDGE_BATCH_SIZE);
+            for (let i = 0; i < state.edges.length; i += EDGE_BATCH_SIZE) {
+                yield { method: 'fitEdges', args: [state.edges.slice(i, i + EDGE_BATCH_SIZE), opts] };
+            }
+        }
+    }
+
+    /**
+     * Build the SVG from the results of the trace tasks, in task order
+     */
+    finishTrace(state, results) {
+        const { opts, palette, fillAttrs } = state;
+        let svg = state.header;
+
+        if (opts.layering === 'stacked' && opts.traceStyle !== 'pixel') {
+            state.order.forEach((colorIdx, position) => {
+                if (results[position]) {
+                    svg += `  <path ${fillAttrs(palette[colorIdx])} fill-rule="evenodd" d="${results[position]}"/>\n`;
+                }
+            });
+        } else if (opts.traceStyle === 'pixel') {
+            svg += results.join('');
+        } else {
+            const paths = this.assembleSharedEdgePaths(state.edges, results.flat(), palette.length, opts.coordinatePrecision);
+            for (let i = 0; i < palette.length; i++) {
+                if (paths[i]) {
+                    svg += `  <path ${fillAttrs(palette[i])} fill-rule="evenodd" d="${paths[i]}"/>\n`;
+                }
+            }
+        }
+
+        if (opts.traceMode === 'pixelart' && opts.pixelGrid) {
+            svg += this.createPixelGrid(state.width, state.height, opts.pixelScale || 1);
+        }
+
+        svg += `</svg>`;
+
+        state.onProgress?.({ stage: 'done', fraction: 1 });
+        return svg;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * ATSVG - Worker Pool
+ * Spreads trace tasks and PDF pages across worker threads
+ */
+
+import { Worker } from 'worker_threads';
+
+export class WorkerPool {
+    constructor(size) {
+        this.size = size;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+    }
+
+    /**
+     * Run a task (see worker.js) on the next free worker.
+     * Resolves to its result.
+     */
+    run(method, args) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ method, args, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle workers, starting new ones up to the pool size
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.idle.pop();
+            if (!worker && this.workers.length < this.size) {
+                worker = this.spawn();
+            }
+            if (!worker) return;
+
+            const task = this.queue.shift();
+            worker.task = task;
+            // Busy workers keep the process alive, idle ones do not
+            worker.ref();
+            worker.postMessage({ method: task.method, args: task.args });
+        }
+    }
+
+    /**
+     * Start a worker thread
+     */
+    spawn() {
+        const worker = new Worker(new URL('./worker.js', import.meta.url));
+
+        worker.on('message', ({ result, error }) => {
+            const { resolve, reject } = worker.task;
+            worker.task = null;
+            worker.unref();
+            this.idle.push(worker);
+
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(result);
+            }
+            this.dispatch();
+        });
+
+        // A crashed worker fails its task and is replaced on demand, as is
+        // one that exits without throwing (process.exit, killed for memory)
+        worker.on('error', (error) => this.retire(worker, error));
+        worker.on('exit', (code) => this.retire(worker, new Error(`Worker stopped with exit code ${code}`)));
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Drop a worker that stopped, failing its task with error
+     */
+    retire(worker, error) {
+        const task = worker.task;
+        worker.task = null;
+        if (task) task.reject(error);
+
+        // Workers stopped by close() or already retired are not replaced
+        if (!this.workers.includes(worker)) return;
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        this.dispatch();
+    }
+
+    /**
+     * Stop all workers
+     */
+    async close() {
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        await Promise.all(workers.map(worker => worker.terminate()));
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * ATSVG - Worker Thread
+ * Runs the tasks a WorkerPool hands out
+ */
+
+import { parentPort } from 'worker_threads';
+import { ImageTracer } from './tracer.js';
+
+const tracer = new ImageTracer();
+
+// Tracer methods a trace is split into (see ImageTracer.createTraceTasks)
+const TRACE_TASKS = new Set(['fitEdges', 'createMaskPath', 'createPixelLayer']);
+
+const tasks = {
+    /**
+     * Render one page of a PDF, loading the document in this thread
+     */
+    async renderPDFPage(data, pageNumber, scale, options) {
+        const { ATSVGConverter } = await import('./index.js');
+        const pdfjs = await import('pdfjs-dist');
+        const pdf = await pdfjs.getDocument({ data }).promise;
+        return new ATSVGConverter(options).renderPDFPage(pdf, pageNumber, scale, options);
+    }
+};
+
+parentPort.on('message', async ({ method, args }) => {
+    try {
+        if (!TRACE_TASKS.has(method) && !tasks[method]) {
+            throw new Error(`Unknown worker task: ${method}`);
+        }
+        const result = TRACE_TASKS.has(method)
+            ? tracer[method](...args)
+            : await tasks[method](...args);
+        parentPort.postMessage({ result });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
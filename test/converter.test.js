@@ -4,9 +4,15 @@
 
 import { describe, it, before } from 'node:test';
 import assert from 'node:assert';
-import { ATSVGConverter, createConverter } from '../lib/index.js';
+import { ATSVGConverter, createConverter, parsePalette, measureFidelity } from '../lib/index.js';
+import { ImageTracer } from '../lib/tracer.js';
+import { WorkerPool } from '../lib/worker-pool.js';
+import sharp from 'sharp';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -82,6 +88,97 @@ function crc32(buf) {
     return resultBuf;
 }
 
+// Create a PNG from a per-pixel color function returning [r, g, b, a]
+const createPatternPNG = (width, height, colorAt) => {
+    const raw = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            raw.set(colorAt(x, y), (y * width + x) * 4);
+        }
+    }
+    return sharp(raw, { raw: { width, height, channels: 4 } }).png().toBuffer();
+};
+
+// Rasterize an SVG back to raw RGBA pixels
+const rasterizeSVG = async (svg) => {
+    return sharp(Buffer.from(svg)).ensureAlpha().raw().toBuffer();
+};
+
+// The browser converter, with a Worker that runs js/trace-worker.js on
+// this thread and passes messages as a browser would
+const workerScope = {};
+const loadWebConverter = async () => {
+    globalThis.self = workerScope;
+    await import('../js/trace-worker.js');
+
+    class TestWorker {
+        constructor() {
+            workerScope.postMessage = (data, transfer) => {
+                const message = structuredClone(data, { transfer });
+                setImmediate(() => this.onmessage({ data: message }));
+            };
+        }
+
+        postMessage(data, transfer) {
+            const message = structuredClone(data, { transfer });
+            setImmediate(() => workerScope.onmessage({ data: message }));
+        }
+
+        terminate() {}
+    }
+
+    const code = await fs.readFile(path.join(__dirname, '..', 'js', 'converter.js'), 'utf8');
+    return new (new Function('Worker', `${code}\nreturn ATSVGConverter;`)(TestWorker))();
+};
+
+// A canvas stand-in holding RGBA pixels
+const pixelCanvas = (data, width, height) => ({
+    width,
+    height,
+    getContext: () => ({ getImageData: () => ({ data: new Uint8ClampedArray(data), width, height }) })
+});
+
+// A 12x12 red ring with a square hole on a blue background
+const isRing = (x, y) => x >= 2 && x < 10 && y >= 2 && y < 10 && !(x >= 4 && x < 8 && y >= 4 && y < 8);
+const ringColor = (x, y) => isRing(x, y) ? [255, 0, 0, 255] : [0, 0, 255, 255];
+
+// A 40x40 black disc on white
+const discColor = (x, y) => (x + 0.5 - 20) ** 2 + (y + 0.5 - 20) ** 2 < 15 ** 2 ? [0, 0, 0, 255] : [255, 255, 255, 255];
+
+// Split absolute path data into segments, each a list of [x, y] points
+// from its start point to its end point
+const pathSegments = (d) => {
+    const tokens = d.match(/[MHVLCQZ]|-?\d+(\.\d+)?/g);
+    const segments = [];
+    let i = 0, command, current, start;
+    const num = () => parseFloat(tokens[i++]);
+
+    while (i < tokens.length) {
+        if (/[A-Z]/.test(tokens[i])) command = tokens[i++];
+
+        let points;
+        if (command === 'M') {
+            current = start = [num(), num()];
+            continue;
+        } else if (command === 'Z') {
+            points = current[0] !== start[0] || current[1] !== start[1] ? [start] : [];
+        } else if (command === 'H') {
+            points = [[num(), current[1]]];
+        } else if (command === 'V') {
+            points = [[current[0], num()]];
+        } else {
+            const count = { L: 1, Q: 2, C: 3 }[command];
+            points = Array.from({ length: count }, () => [num(), num()]);
+        }
+
+        if (points.length > 0) {
+            segments.push([current, ...points]);
+            current = points[points.length - 1];
+        }
+    }
+    return segments;
+};
+
 describe('ATSVGConverter', () => {
     let converter;
 
@@ -140,10 +237,860 @@ describe('ATSVGConverter', () => {
     });
 });
 
+describe('Tracing', () => {
+    let converter;
+    let ringPNG;
+
+    before(async () => {
+        converter = new ATSVGConverter({ conversionMode: 'trace' });
+        ringPNG = await createPatternPNG(12, 12, ringColor);
+    });
+
+    it('should trace regions as outlines with holes', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', { colorCount: 2 });
+        assert.ok(!result.svg.includes('<rect'));
+        assert.ok(result.svg.includes('fill-rule="evenodd"'));
+
+        // The ring's hole must stay open after rendering
+        const pixels = await rasterizeSVG(result.svg);
+        for (let y = 0; y < 12; y++) {
+            for (let x = 0; x < 12; x++) {
+                const red = pixels[(y * 12 + x) * 4];
+                assert.strictEqual(red > 0, isRing(x, y), `pixel ${x},${y}`);
+            }
+        }
+    });
+
+    it('should fit round shapes with cubic Bezier curves', async () => {
+        const discPNG = await createPatternPNG(40, 40, discColor);
+        const result = await converter.convertBuffer(discPNG, 'disc.png', { colorCount: 2 });
+        assert.match(result.svg, /d="[^"]*C/);
+        assert.doesNotMatch(result.svg, /d="[^"]*Q/);
+    });
+
+    it('should support quadratic curves and straight lines only', async () => {
+        const discPNG = await createPatternPNG(40, 40, discColor);
+        const quadratic = await converter.convertBuffer(discPNG, 'disc.png', {
+            colorCount: 2,
+            curveType: 'quadratic'
+        });
+        assert.match(quadratic.svg, /d="[^"]*Q/);
+
+        const straight = await converter.convertBuffer(discPNG, 'disc.png', {
+            colorCount: 2,
+            curveTolerance: 0
+        });
+        assert.doesNotMatch(straight.svg, /d="[^"]*[CQ]/);
+    });
+
+    it('should posterize each channel to a fixed number of levels', async () => {
+        const gradientPNG = await createPatternPNG(64, 16, (x, y) => [x * 4, 255 - x * 4, y * 16, 255]);
+        const result = await converter.convertBuffer(gradientPNG, 'gradient.png', {
+            traceMode: 'posterize',
+            posterizeLevels: 2
+        });
+        const fills = [...result.svg.matchAll(/fill="rgb\(([^)]+)\)"/g)].map(m => m[1]);
+        assert.ok(fills.length > 0 && fills.length <= 8);
+        for (const fill of fills) {
+            assert.ok(fill.split(',').every(v => v === '0' || v === '255'), fill);
+        }
+
+        // Levels are clamped to 16 per channel
+        const clamped = await converter.convertBuffer(gradientPNG, 'gradient.png', { traceMode: 'posterize', posterizeLevels: 256 });
+        for (const [, fill] of clamped.svg.matchAll(/fill="rgb\(([^)]+)\)"/g)) {
+            assert.ok(fill.split(',').every(v => v % 17 === 0), fill);
+        }
+
+        // Noise keeps too many exact colors to trace
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) % 256;
+        const noisePNG = await createPatternPNG(160, 160, () => [random(), random(), random(), 255]);
+        await assert.rejects(
+            converter.convertBuffer(noisePNG, 'noise.png', { traceMode: 'posterize', posterizeLevels: 16 }),
+            /Posterize keeps up to 1024 exact colors and this image has \d+\. Use fewer posterize levels/
+        );
+    });
+
+    it('should posterize by brightness bands in luminance mode', async () => {
+        const gradientPNG = await createPatternPNG(64, 16, (x) => [x * 4, x * 4, 128, 255]);
+        const result = await converter.convertBuffer(gradientPNG, 'gradient.png', {
+            traceMode: 'posterize',
+            posterizeLevels: 3,
+            posterizeLuminance: true
+        });
+        const fills = result.svg.match(/fill="rgb/g);
+        assert.ok(fills.length >= 2 && fills.length <= 3);
+    });
+
+    it('should keep run-length rectangles available as the pixel style', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', {
+            colorCount: 2,
+            traceStyle: 'pixel'
+        });
+        assert.ok(result.svg.includes('<rect'));
+        assert.ok(result.svg.includes('shape-rendering="crispEdges"'));
+    });
+
+    it('should keep small accent colors with k-means and octree quantizers', async () => {
+        const accentPNG = await createPatternPNG(100, 100, (x, y) =>
+            x >= 45 && x < 50 && y >= 45 && y < 50 ? [230, 20, 30, 255] : [x * 2, x * 2, x * 2, 255]
+        );
+        for (const quantizer of ['kmeans', 'octree']) {
+            const result = await converter.convertBuffer(accentPNG, 'accent.png', {
+                colorCount: 4,
+                quantizer
+            });
+            assert.ok(result.svg.includes('fill="rgb(230,20,30)"'), quantizer);
+        }
+    });
+
+    it('should snap colors to a fixed palette and fill with its hex values', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', {
+            palette: ['#E01020', '#0000cc', '#00ff00']
+        });
+        const fills = [...result.svg.matchAll(/fill="([^"]+)"/g)].map(m => m[1]).sort();
+        assert.deepStrictEqual(fills, ['#0000cc', '#e01020']);
+    });
+
+    it('should match colors perceptually with Lab color distances', async () => {
+        // Dark blue is closer to gray in RGB but looks closer to navy
+        const darkBluePNG = await createPatternPNG(8, 8, () => [20, 20, 60, 255]);
+        const fill = async (colorDistance) => {
+            const result = await converter.convertBuffer(darkBluePNG, 'blue.png', {
+                palette: ['#000080', '#404040'],
+                colorDistance
+            });
+            return result.svg.match(/fill="([^"]+)"/)[1];
+        };
+
+        assert.strictEqual(await fill('rgb'), '#404040');
+        assert.strictEqual(await fill('ciede2000'), '#000080');
+        await assert.rejects(fill('hsv'), /Unknown color distance/);
+    });
+
+    it('should quantize with a perceptual color distance', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', {
+            colorCount: 2,
+            quantizer: 'kmeans',
+            colorDistance: 'ciede2000'
+        });
+        const fills = [...result.svg.matchAll(/fill="([^"]+)"/g)].map(m => m[1]).sort();
+        assert.deepStrictEqual(fills, ['rgb(0,0,255)', 'rgb(255,0,0)']);
+    });
+
+    it('should merge specks smaller than the despeckle area into their surroundings', async () => {
+        // Black square with scattered single pixel noise on white, away from its edges
+        const nearEdge = (v) => v >= 7 && v < 9 || v >= 23 && v < 25;
+        const noisyPNG = await createPatternPNG(32, 32, (x, y) => {
+            const square = x >= 8 && x < 24 && y >= 8 && y < 24;
+            const speck = (x * 7 + y * 13) % 23 === 0 && !nearEdge(x) && !nearEdge(y);
+            return square !== speck ? [0, 0, 0, 255] : [255, 255, 255, 255];
+        });
+        const countPaths = (svg) => svg.match(/<path[^>]* d="[^"]*"/g)
+            .reduce((sum, path) => sum + path.split('M').length - 1, 0);
+
+        const noisy = await converter.convertBuffer(noisyPNG, 'noisy.png', { colorCount: 2 });
+        const clean = await converter.convertBuffer(noisyPNG, 'noisy.png', { colorCount: 2, despeckle: 4 });
+        assert.ok(countPaths(noisy.svg) > 10);
+        assert.strictEqual(countPaths(clean.svg), 3); // background, square outline and its hole
+
+        const pixels = await rasterizeSVG(clean.svg);
+        for (let y = 0; y < 32; y++) {
+            for (let x = 0; x < 32; x++) {
+                const square = x >= 8 && x < 24 && y >= 8 && y < 24;
+                assert.strictEqual(pixels[(y * 32 + x) * 4] < 128, square, `pixel ${x},${y}`);
+            }
+        }
+    });
+
+    it('should denoise noisy images without rounding off corners', async () => {
+        // Red square on cream with JPEG-like jitter and single pixel specks
+        const nearEdge = (v) => v >= 13 && v < 17 || v >= 43 && v < 47;
+        const jitter = (x, y, c) => (x * 31 + y * 17 + c * 7) % 29 - 14;
+        const square = (x, y) => x >= 15 && x < 45 && y >= 15 && y < 45;
+        const colorAt = (x, y, noise) => {
+            const color = square(x, y) ? [200, 40, 40] : [240, 240, 220];
+            if (!noise) return [...color, 255];
+            if ((x * 7 + y * 13) % 23 === 0 && !nearEdge(x) && !nearEdge(y)) return [20, 20, 20, 255];
+            return [...color.map((v, c) => v + jitter(x, y, c)), 255];
+        };
+        const cleanPNG = await createPatternPNG(60, 60, (x, y) => colorAt(x, y, false));
+        const noisyPNG = await createPatternPNG(60, 60, (x, y) => colorAt(x, y, true));
+        const paths = (svg) => [...svg.matchAll(/ d="([^"]*)"/g)].map(m => m[1]);
+
+        const clean = await converter.convertBuffer(cleanPNG, 'clean.png', { colorCount: 2 });
+        const noisy = await converter.convertBuffer(noisyPNG, 'noisy.png', { colorCount: 2 });
+        assert.notDeepStrictEqual(paths(noisy.svg), paths(clean.svg));
+        for (const denoiseRadius of [1, 2]) {
+            const median = await converter.convertBuffer(noisyPNG, 'noisy.png', { colorCount: 2, denoise: 'median', denoiseRadius });
+            assert.deepStrictEqual(paths(median.svg), paths(clean.svg));
+            assert.ok(paths(median.svg).includes('M15 15H45V45H15Z'));
+        }
+
+        // Bilateral smooths the jitter on both sides and keeps the step between them
+        const tracer = new ImageTracer();
+        const raw = new Uint8ClampedArray(60 * 60 * 4);
+        const flat = new Uint8ClampedArray(60 * 60 * 4);
+        for (let i = 0; i < 60 * 60; i++) {
+            const x = i % 60, y = Math.floor(i / 60);
+            raw.set([...(square(x, y) ? [200, 40, 40] : [240, 240, 220]).map((v, c) => v + jitter(x, y, c)), 255], i * 4);
+            flat.set(colorAt(x, y, false), i * 4);
+        }
+        const error = (pixels) => pixels.reduce((sum, v, i) => sum + Math.abs(v - flat[i]), 0) / pixels.length;
+        const smoothed = tracer.bilateral(raw, 60, 60, 2);
+        assert.ok(error(smoothed) < error(raw) / 2, `${error(smoothed)} vs ${error(raw)}`);
+        for (const x of [14, 15]) {
+            const i = (30 * 60 + x) * 4;
+            assert.ok(Math.abs(smoothed[i] - flat[i]) <= 8 && Math.abs(smoothed[i + 1] - flat[i + 1]) <= 8, `pixel ${x}`);
+        }
+        assert.throws(() => tracer.trace(raw, 60, 60, { denoise: 'gaussian' }), /Unknown denoise filter: gaussian/);
+    });
+
+    it('should stack layers so each one covers the layers above it', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', {
+            colorCount: 2,
+            layering: 'stacked'
+        });
+        const paths = [...result.svg.matchAll(/fill="([^"]+)" fill-rule="evenodd" d="([^"]+)"/g)];
+
+        // The largest color is a solid underlay without holes
+        assert.strictEqual(paths.length, 2);
+        assert.strictEqual(paths[0][1], 'rgb(0,0,255)');
+        assert.strictEqual(paths[0][2].split('M').length - 1, 1);
+
+        const pixels = await rasterizeSVG(result.svg);
+        for (let y = 0; y < 12; y++) {
+            for (let x = 0; x < 12; x++) {
+                assert.strictEqual(pixels[(y * 12 + x) * 4] > 0, isRing(x, y), `pixel ${x},${y}`);
+            }
+        }
+
+        const byLuminance = await converter.convertBuffer(ringPNG, 'ring.png', {
+            palette: ['#0000ff', '#ff0000'],
+            layering: 'stacked',
+            layerOrder: 'luminance'
+        });
+        assert.deepStrictEqual(
+            [...byLuminance.svg.matchAll(/fill="([^"]+)"/g)].map(m => m[1]),
+            ['#ff0000', '#0000ff']
+        );
+    });
+
+    it('should trace neighboring colors along the exact same shared edges', async () => {
+        // A disc over a red and a blue half meets both halves at two junctions
+        const junctionPNG = await createPatternPNG(40, 40, (x, y) => {
+            if ((x + 0.5 - 20) ** 2 + (y + 0.5 - 20) ** 2 < 13 ** 2) return [0, 200, 0, 255];
+            return x < 20 ? [255, 0, 0, 255] : [0, 0, 255, 255];
+        });
+
+        for (const curveTolerance of [1, 0]) {
+            const result = await converter.convertBuffer(junctionPNG, 'junction.png', {
+                palette: ['#ff0000', '#0000ff', '#00c800'],
+                curveTolerance,
+                pathSimplify: 2
+            });
+
+            // Every segment inside the image is drawn by exactly two colors,
+            // once in each direction
+            const uses = new Map();
+            for (const [, d] of result.svg.matchAll(/ d="([^"]+)"/g)) {
+                for (const segment of pathSegments(d)) {
+                    const key = segment.map(p => p.join(',')).join(' ');
+                    const reverse = segment.slice().reverse().map(p => p.join(',')).join(' ');
+                    const canonical = key < reverse ? key : reverse;
+                    uses.set(canonical, (uses.get(canonical) || 0) + 1);
+                }
+            }
+
+            for (const [segment, count] of uses) {
+                const points = segment.split(' ').map(p => p.split(',').map(Number));
+                const onBorder = [0, 1].some(axis => [0, 40].some(edge => points.every(p => p[axis] === edge)));
+                assert.strictEqual(count, onBorder ? 1 : 2, `segment ${segment}`);
+            }
+        }
+    });
+
+    it('should fill smooth ramps with gradients instead of color bands', async () => {
+        const linearColor = (x) => [20 + x * 3, 40 + x * 2, 200 - x * 2, 255];
+        const linearPNG = await createPatternPNG(64, 32, linearColor);
+
+        const banded = await converter.convertBuffer(linearPNG, 'ramp.png', { colorCount: 8 });
+        assert.ok(banded.svg.match(/<path/g).length > 4);
+
+        const smooth = await converter.convertBuffer(linearPNG, 'ramp.png', { colorCount: 8, gradients: true });
+        assert.match(smooth.svg, /<defs>\s*<linearGradient id="gradient0"/);
+        assert.strictEqual(smooth.svg.match(/<path/g).length, 1);
+        assert.ok(smooth.svg.includes('fill="url(#gradient0)"'));
+
+        const pixels = await rasterizeSVG(smooth.svg);
+        let error = 0;
+        for (let i = 0; i < 64 * 32; i++) {
+            const expected = linearColor(i % 64);
+            for (let c = 0; c < 3; c++) error += Math.abs(pixels[i * 4 + c] - expected[c]);
+        }
+        assert.ok(error / (64 * 32 * 3) < 2, `mean error ${error / (64 * 32 * 3)}`);
+
+        const radialPNG = await createPatternPNG(48, 48, (x, y) => {
+            const f = Math.min(1, Math.hypot(x - 24, y - 24) / 24);
+            return [250 - 200 * f, 220 - 180 * f, 40 + 150 * f, 255];
+        });
+        const radial = await converter.convertBuffer(radialPNG, 'radial.png', { colorCount: 8, gradients: true });
+        assert.match(radial.svg, /<radialGradient id="gradient0" gradientUnits="userSpaceOnUse" cx="24.5" cy="24.5"/);
+    });
+
+    it('should keep flat colors and hard edges when detecting gradients', async () => {
+        const result = await converter.convertBuffer(ringPNG, 'ring.png', { colorCount: 2, gradients: true });
+        assert.ok(!result.svg.includes('<defs>'));
+        assert.strictEqual(result.svg.match(/<path/g).length, 2);
+    });
+
+    it('should keep semi-transparent shadows above the alpha cutoff', async () => {
+        // An opaque red square casting a faint black shadow
+        const shadowPNG = await createPatternPNG(40, 40, (x, y) => {
+            if (x >= 4 && x < 26 && y >= 4 && y < 26) return [255, 0, 0, 255];
+            if (x >= 10 && x < 32 && y >= 10 && y < 32) return [0, 0, 0, 96];
+            return [0, 0, 0, 0];
+        });
+
+        const cut = await converter.convertBuffer(shadowPNG, 'shadow.png', { colorCount: 4, transparentBg: true });
+        assert.strictEqual(cut.svg.match(/<path/g).length, 1);
+        assert.ok(!cut.svg.includes('fill-opacity'));
+
+        const kept = await converter.convertBuffer(shadowPNG, 'shadow.png', {
+            colorCount: 4,
+            transparentBg: true,
+            alphaCutoff: 64
+        });
+        assert.strictEqual(kept.svg.match(/<path/g).length, 2);
+        assert.ok(kept.svg.includes('fill="rgb(0,0,0)" fill-opacity="0.376"'));
+
+        const pixels = await rasterizeSVG(kept.svg);
+        const shadow = (30 * 40 + 30) * 4;
+        assert.ok(Math.abs(pixels[shadow + 3] - 96) <= 1);
+        const square = (15 * 40 + 15) * 4;
+        assert.deepStrictEqual([...pixels.subarray(square, square + 4)], [255, 0, 0, 255]);
+
+        // Luminance posterize averages band colors over the same pixels
+        const bandPNG = await createPatternPNG(2, 1, (x) => x === 0 ? [0, 0, 60, 255] : [60, 0, 0, 96]);
+        const bandOptions = { traceMode: 'posterize', posterizeLevels: 2, posterizeLuminance: true };
+        const opaqueBand = await converter.convertBuffer(bandPNG, 'band.png', bandOptions);
+        assert.match(opaqueBand.svg, /fill="rgb\(0,0,60\)"/);
+        const shadowBand = await converter.convertBuffer(bandPNG, 'band.png', { ...bandOptions, alphaCutoff: 64 });
+        assert.match(shadowBand.svg, /fill="rgb\(30,0,30\)"/);
+    });
+
+    it('should trace raw RGBA pixels with the shared core exactly like the converter', async () => {
+        const discPNG = await createPatternPNG(40, 40, (x, y) => {
+            const [r, g, b] = discColor(x, y);
+            return [r, x * 6, b, 255];
+        });
+        const options = { colorCount: 6, blurRadius: 1, despeckle: 4 };
+        const result = await converter.convertBuffer(discPNG, 'disc.png', options);
+
+        const { data, info } = await sharp(discPNG).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const svg = new ImageTracer(options).trace(new Uint8ClampedArray(data), info.width, info.height);
+        assert.strictEqual(svg, result.svg);
+    });
+
+    it('should run tracer tasks in the browser worker exactly like the converter', async () => {
+        const discPNG = await createPatternPNG(40, 40, (x, y) => {
+            const [r, g, b] = discColor(x, y);
+            return [r, x * 6, b, 255];
+        });
+        const { data, info } = await sharp(discPNG).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+        const web = await loadWebConverter();
+
+        for (const options of [
+            { colorCount: 6, blurRadius: 1, despeckle: 4, addViewBox: true },
+            { colorCount: 6, addViewBox: false, preserveMetadata: true },
+            { traceMode: 'pixelart', pixelScale: 2, addViewBox: false }
+        ]) {
+            const svg = await web.traceToSVG(pixelCanvas(data, info.width, info.height), options);
+            assert.strictEqual(svg, await converter.traceImage(discPNG, info, options), JSON.stringify(options));
+        }
+        const svg = await web.traceToSVG(pixelCanvas(data, info.width, info.height), { addViewBox: false, preserveMetadata: true });
+        assert.doesNotMatch(svg, /viewBox/);
+        assert.match(svg, /<desc>Converted with ATSVG<\/desc>/);
+
+        // Tasks that need the DOM have it done back on the main thread
+        const rasterize = async (svg) => new Uint8ClampedArray(await rasterizeSVG(svg));
+        const tuned = await web.runTraceTask('autoTune', new Uint8ClampedArray(data), 40, 40, {}, { rasterize });
+        const expected = await new ImageTracer().autoTune(new Uint8ClampedArray(data), 40, 40, {}, { rasterize });
+        assert.deepStrictEqual(tuned, expected);
+
+        const photo = Uint8ClampedArray.from({ length: 64 * 64 * 4 }, (_, i) => i % 4 === 3 ? 255 : (i * 7919) % 251);
+        const encode = () => 'data:,';
+        const hybrid = await web.runTraceTask('hybrid', photo.slice(), 64, 64, {}, { encode });
+        assert.match(hybrid, /<image /);
+        assert.strictEqual(hybrid, await new ImageTracer().traceHybrid(photo, 64, 64, {}, { encode }));
+
+        const cleared = await web.runTraceTask('removeBackground', new Uint8ClampedArray(data), 40, 40, { removeBg: 'auto' });
+        assert.deepStrictEqual(cleared, new ImageTracer().removeBackground(new Uint8ClampedArray(data), 40, 40, 'auto'));
+    });
+
+    it('should quantize multi-megapixel images from a color histogram', () => {
+        const width = 2000, height = 1500;
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            data[i * 4] = i % 251;
+            data[i * 4 + 1] = (i >> 3) % 241;
+            data[i * 4 + 2] = (i * 7) % 256;
+            data[i * 4 + 3] = 255;
+        }
+
+        const tracer = new ImageTracer();
+        for (const quantizer of ['median-cut', 'kmeans', 'octree']) {
+            const palette = tracer.getPalette(data, width, height, 16, { ...tracer.options, quantizer });
+            assert.ok(palette.length > 1 && palette.length <= 16, quantizer);
+            assert.strictEqual(palette.reduce((sum, c) => sum + c.count, 0), width * height, quantizer);
+        }
+
+        // Splits fall between distinct colors, never blending them
+        const mostlyRed = new Uint8ClampedArray(100 * 4);
+        for (let i = 0; i < 100; i++) mostlyRed.set(i < 90 ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+        const palette = tracer.getPalette(mostlyRed, 10, 10, 2);
+        assert.deepStrictEqual(palette.map(c => [c.r, c.g, c.b, c.count]), [[0, 0, 255, 10], [255, 0, 0, 90]]);
+    });
+
+    it('should trace on worker threads with byte-identical output', async () => {
+        const pattern = await createPatternPNG(64, 48, (x, y) => {
+            const [r, g, b] = discColor(x % 40, y % 40);
+            return [r, (x * 4) % 256, (b + y * 5) % 256, 255];
+        });
+        const threaded = new ATSVGConverter({ conversionMode: 'trace', workers: 2 });
+
+        try {
+            for (const options of [
+                { colorCount: 8 },
+                { colorCount: 8, curveTolerance: 0 },
+                { colorCount: 8, layering: 'stacked' },
+                { colorCount: 8, traceStyle: 'pixel' }
+            ]) {
+                const single = await converter.convertBuffer(pattern, 'pattern.png', options);
+                const multi = await threaded.convertBuffer(pattern, 'pattern.png', options);
+                assert.strictEqual(multi.svg, single.svg, JSON.stringify(options));
+            }
+            assert.strictEqual(threaded.workerPool.workers.length, 2);
+        } finally {
+            await threaded.close();
+        }
+    });
+
+    it('should fail the task of a worker that exits and replace the worker', async () => {
+        const pool = new WorkerPool(1);
+
+        try {
+            const task = pool.run('fitEdges', [[], {}]);
+            await pool.workers[0].terminate();
+            await assert.rejects(task, /Worker stopped with exit code \d+/);
+            assert.strictEqual(pool.workers.length, 0);
+
+            assert.deepStrictEqual(await pool.run('fitEdges', [[], {}]), []);
+            assert.strictEqual(pool.workers.length, 1);
+        } finally {
+            await pool.close();
+        }
+    });
+
+    it('should trace in tiles with the same SVG as the whole image', async () => {
+        const pattern = await createPatternPNG(70, 50, (x, y) => {
+            const [r, g, b] = discColor(x % 40, y % 40);
+            return [r, (x * y) % 256, (b + x * 7) % 256, (x + y) % 11 ? 255 : 0];
+        });
+
+        // Specks straddling tile sides despeckle as they do on the whole image
+        const speckled = await createPatternPNG(70, 50, (x, y) => {
+            return x % 16 >= 15 && y % 12 >= 10 ? [255, 0, 0, 255] : discColor(x % 40, y % 40);
+        });
+
+        for (const [png, options] of [
+            [pattern, { colorCount: 6 }],
+            [pattern, { colorCount: 6, curveTolerance: 0, blurRadius: 1 }],
+            [pattern, { colorCount: 6, traceStyle: 'pixel' }],
+            [pattern, { traceMode: 'posterize', posterizeLevels: 3 }],
+            [speckled, { colorCount: 3, blurRadius: 1, despeckle: 5 }],
+            [speckled, { colorCount: 3, denoise: 'median', denoiseRadius: 2 }],
+            [pattern, { colorCount: 6, denoise: 'bilateral' }],
+            [pattern, { traceMode: 'monochrome', thresholdMethod: 'otsu', blurRadius: 1 }],
+            [pattern, { traceMode: 'monochrome', thresholdMethod: 'sauvola', thresholdWindow: 9, denoise: 'median' }],
+            [speckled, { traceMode: 'pixelart' }],
+            [speckled, { colorCount: 3, removeBg: 'auto' }],
+            [pattern, { colorCount: 6, removeBg: '#ffffff', bgTolerance: 40 }]
+        ]) {
+            const whole = await converter.convertBuffer(png, 'pattern.png', options);
+            for (const tileSize of [16, 23]) {
+                const tiled = await converter.convertBuffer(png, 'pattern.png', { ...options, tileSize });
+                assert.strictEqual(tiled.svg, whole.svg, JSON.stringify({ ...options, tileSize }));
+            }
+        }
+
+        // Settings that need the whole image are rejected, not dropped
+        for (const options of [{ layering: 'stacked' }, { gradients: true }, { traceMode: 'posterize', posterizeLuminance: true }]) {
+            await assert.rejects(
+                converter.convertBuffer(pattern, 'pattern.png', { ...options, tileSize: 16 }),
+                /needs the whole image and cannot be tiled/
+            );
+        }
+
+        // Tiles are sized to the memory limit, and only when needed
+        const tracer = new ImageTracer({ memoryLimit: 1 });
+        assert.strictEqual(tracer.getTileSize(100, 100), 0);
+        assert.strictEqual(tracer.getTileSize(4000, 3000), 126);
+    });
+
+    it('should report trace progress from start to finish', async () => {
+        const data = new Uint8ClampedArray(40 * 40 * 4);
+        for (let i = 0; i < 40 * 40; i++) data.set(discColor(i % 40, Math.floor(i / 40)), i * 4);
+        const tracer = new ImageTracer({ colorCount: 4 });
+
+        for (const options of [{}, { layering: 'stacked' }, { traceStyle: 'pixel' }]) {
+            const reports = [];
+            const svg = tracer.trace(data, 40, 40, { ...options, onProgress: (progress) => reports.push(progress) });
+            assert.strictEqual(svg, tracer.trace(data, 40, 40, options));
+
+            const fractions = reports.map(r => r.fraction);
+            assert.deepStrictEqual(fractions, [...fractions].sort((a, b) => a - b), JSON.stringify(options));
+            assert.strictEqual(fractions[0], 0);
+            assert.deepStrictEqual(reports.at(-1), { stage: 'done', fraction: 1 });
+            assert.ok(reports.some(r => r.stage === 'tracing'));
+        }
+
+        // Tasks run elsewhere report as they finish
+        const reports = [];
+        await tracer.traceAsync(data, 40, 40, { onProgress: (progress) => reports.push(progress.stage) },
+            async (method, args) => tracer[method](...args));
+        assert.ok(reports.includes('tracing') && reports.at(-1) === 'done');
+    });
+
+    it('should tune trace settings to the image in auto mode', async () => {
+        const quadrants = [[230, 57, 70, 255], [29, 53, 87, 255], [241, 196, 15, 255], [255, 255, 255, 255]];
+        const jitter = (x, y, c) => (x * 31 + y * 17 + c * 7) % 29 - 14;
+        const colorAt = (x, y) => quadrants[(x < 30 ? 0 : 1) + (y < 30 ? 0 : 2)];
+        const cleanPNG = await createPatternPNG(60, 60, colorAt);
+        const noisyPNG = await createPatternPNG(60, 60, (x, y) => colorAt(x, y).map((v, c) => c < 3 ? Math.min(255, Math.max(0, v + jitter(x, y, c))) : v));
+
+        const clean = await converter.convertBuffer(cleanPNG, 'clean.png', { conversionMode: 'auto' });
+        assert.strictEqual(clean.analysis.dominantColors, 4);
+        assert.strictEqual(clean.autoSettings.denoise, 'none');
+        assert.ok(clean.autoSettings.colorCount >= 4);
+
+        // The reported settings reproduce the SVG in trace mode
+        const traced = await converter.convertBuffer(cleanPNG, 'clean.png', { conversionMode: 'trace', ...clean.autoSettings });
+        assert.strictEqual(traced.svg, clean.svg);
+
+        const noisy = await converter.convertBuffer(noisyPNG, 'noisy.png', { conversionMode: 'auto' });
+        assert.ok(noisy.analysis.noise > clean.analysis.noise);
+        assert.strictEqual(noisy.autoSettings.denoise, 'median');
+        const untuned = await converter.convertBuffer(noisyPNG, 'noisy.png', { conversionMode: 'trace' });
+        assert.ok(noisy.svg.length < untuned.svg.length / 4, `${noisy.svg.length} vs ${untuned.svg.length}`);
+
+        // Candidates keep the alpha of semi-transparent colors
+        const tracer = new ImageTracer();
+        const shadow = Uint8ClampedArray.from({ length: 32 * 32 * 4 }, (_, i) => [0, 0, 0, (i >> 2) % 32 < 16 ? 96 : 255][i % 4]);
+        const { candidates } = await tracer.autoTune(shadow, 32, 32, { alphaCutoff: 64 }, {
+            rasterize: (svg) => {
+                assert.match(svg, /fill-opacity="0.376"/);
+                return rasterizeSVG(svg);
+            }
+        });
+        assert.ok(candidates.every(c => c.error < 1), JSON.stringify(candidates));
+    });
+
+    it('should measure fidelity against the source and draw a difference heatmap', async () => {
+        const png = await createPatternPNG(40, 40, discColor);
+
+        // An embedded PNG is lossless, a trace is close
+        const embedded = await converter.convertBuffer(png, 'disc.png', { conversionMode: 'embed', metrics: true });
+        assert.deepStrictEqual(embedded.metrics, { psnr: Infinity, ssim: 1, deltaE: { mean: 0, p95: 0, max: 0 } });
+        const traced = await converter.convertBuffer(png, 'disc.png', { conversionMode: 'trace', colorCount: 2, metrics: true });
+        assert.ok(traced.metrics.psnr > 15 && traced.metrics.psnr < Infinity, String(traced.metrics.psnr));
+        assert.ok(traced.metrics.ssim > 0.8 && traced.metrics.ssim < 1, String(traced.metrics.ssim));
+        assert.ok(traced.metrics.deltaE.max > traced.metrics.deltaE.mean);
+
+        // Every channel 10 off: MSE 100
+        const source = new Uint8ClampedArray(16 * 16 * 4).fill(100);
+        const shifted = source.map((v, i) => i % 4 === 3 ? 255 : 110);
+        source.forEach((v, i) => { if (i % 4 === 3) source[i] = 255; });
+        assert.ok(Math.abs(measureFidelity(source, shifted, 16, 16).psnr - 10 * Math.log10(255 * 255 / 100)) < 1e-9);
+
+        // The heatmap is a PNG the size of the image, black where the trace matches
+        const { heatmap, ssim } = await converter.compare(png, traced.svg, { heatmap: true });
+        assert.strictEqual(ssim, traced.metrics.ssim);
+        const { data, info } = await sharp(heatmap).raw().toBuffer({ resolveWithObject: true });
+        assert.deepStrictEqual([info.width, info.height], [40, 40]);
+        assert.deepStrictEqual([...data.subarray(0, 3)], [0, 0, 0]);
+
+        // Tiled traces never hold the whole image to measure
+        await assert.rejects(
+            converter.convertBuffer(png, 'disc.png', { conversionMode: 'trace', metrics: true, tileSize: 16 }),
+            /cannot be used when it is traced in tiles/
+        );
+    });
+
+    it('should search trace settings for a size budget or a fidelity target', async () => {
+        const gradientPNG = await createPatternPNG(64, 16, (x, y) => [x * 4, 255 - x * 4, y * 16, 255]);
+        const full = await converter.convertBuffer(gradientPNG, 'gradient.png', { metrics: true });
+        const fullBytes = Buffer.byteLength(full.svg);
+
+        // Half the bytes: fewer colors, still reported with their fidelity
+        const budget = Math.floor(fullBytes / 2);
+        const small = await converter.convertBuffer(gradientPNG, 'gradient.png', { maxBytes: budget });
+        assert.ok(Buffer.byteLength(small.svg) <= budget);
+        assert.ok(small.searchSettings.colorCount < 16, JSON.stringify(small.searchSettings));
+        assert.ok(small.metrics.ssim > 0);
+
+        // More colors than requested when the target needs them
+        const faithful = await converter.convertBuffer(gradientPNG, 'gradient.png', { minFidelity: 0.9 });
+        assert.ok(faithful.metrics.ssim >= 0.9 && full.metrics.ssim < 0.9);
+        assert.ok(faithful.searchSettings.colorCount > 16, JSON.stringify(faithful.searchSettings));
+
+        await assert.rejects(
+            converter.convertBuffer(gradientPNG, 'gradient.png', { maxBytes: 50 }),
+            /Cannot trace within 50 bytes: the smallest SVG found is \d+ bytes \(colorCount 2, /
+        );
+        await assert.rejects(
+            converter.convertBuffer(gradientPNG, 'gradient.png', { conversionMode: 'embed', maxBytes: 50 }),
+            /need conversionMode "trace" or "auto"/
+        );
+        await assert.rejects(
+            converter.convertBuffer(gradientPNG, 'gradient.png', { minFidelity: 0.9, tileSize: 16 }),
+            /cannot be used when it is traced in tiles/
+        );
+    });
+
+    it('should round path coordinates to the requested precision', async () => {
+        const discPNG = await createPatternPNG(40, 40, discColor);
+        const coordinates = (svg) => svg.match(/ d="([^"]*)"/g).join('').match(/-?\d+(\.\d+)?/g);
+
+        const tenths = await converter.convertBuffer(discPNG, 'disc.png', { colorCount: 2 });
+        const whole = await converter.convertBuffer(discPNG, 'disc.png', { colorCount: 2, coordinatePrecision: 0 });
+        assert.ok(coordinates(tenths.svg).some((n) => n.includes('.')));
+        assert.ok(coordinates(whole.svg).every((n) => !n.includes('.')));
+        assert.ok(whole.svg.length < tenths.svg.length);
+    });
+
+    it('should trace pixel art with exact colors and whole-pixel scaling', async () => {
+        // Reds one level apart, a diagonal staircase and a transparent corner
+        const spriteColor = (x, y) => {
+            if (x + y < 2) return [0, 0, 0, 0];
+            if (x === y) return [255, 0, 0, 255];
+            return x > y ? [254, 0, 0, 255] : [20, 20, 200, 255];
+        };
+        const spritePNG = await createPatternPNG(8, 8, spriteColor);
+
+        const result = await converter.convertBuffer(spritePNG, 'sprite.png', { traceMode: 'pixelart', scale: 400 });
+        assert.deepStrictEqual([result.width, result.height], [32, 32]);
+        assert.match(result.svg, /width="32" height="32" viewBox="0 0 8 8" shape-rendering="crispEdges"/);
+        assert.match(result.svg, /fill="rgb\(254,0,0\)"/);
+
+        // Only whole-pixel steps, and every pixel renders back exactly
+        const paths = result.svg.match(/ d="[^"]*"/g).join('');
+        assert.ok(!/[LCQ.]/.test(paths), paths);
+        const pixels = await sharp(Buffer.from(result.svg)).raw().toBuffer();
+        for (let y = 0; y < 32; y++) {
+            for (let x = 0; x < 32; x++) {
+                const expected = spriteColor(Math.floor(x / 4), Math.floor(y / 4));
+                const actual = [...pixels.subarray((y * 32 + x) * 4, (y * 32 + x) * 4 + 4)];
+                assert.deepStrictEqual(expected[3] ? actual : actual[3], expected[3] ? expected : 0, `${x},${y}`);
+            }
+        }
+
+        const grid = await converter.convertBuffer(spritePNG, 'sprite.png', { traceMode: 'pixelart', scale: 400, pixelGrid: true });
+        assert.match(grid.svg, /<path fill="none" stroke="#000" stroke-opacity="0.25" stroke-width="0.25" d="M0 0V8M1 0V8/);
+    });
+
+    it('should threshold unevenly lit scans with local methods', async () => {
+        // Paper darkening from 250 to 91 left to right, with ink strokes
+        // 70 levels darker than the paper around them
+        const isInk = (x, y) => Math.abs(y - 20) < 2 || x % 40 === 20;
+        const scanPNG = await createPatternPNG(160, 40, (x, y) => {
+            const v = 250 - x - (isInk(x, y) ? 70 : 0);
+            return [v, v, v, 255];
+        });
+
+        const blackPixels = async (thresholdMethod) => {
+            const { svg } = await converter.convertBuffer(scanPNG, 'scan.png', {
+                traceMode: 'monochrome', thresholdMethod, thresholdWindow: 15
+            });
+            const pixels = await sharp(Buffer.from(svg)).flatten({ background: '#ffffff' }).raw().toBuffer();
+            let ink = 0, paper = 0;
+            for (let p = 0; p < 160 * 40; p++) {
+                if (pixels[p * 3] < 128) isInk(p % 160, Math.floor(p / 160)) ? ink++ : paper++;
+            }
+            return { ink, paper };
+        };
+
+        // One threshold blackens the dim side of the paper
+        assert.ok((await blackPixels('fixed')).paper > 1000);
+        assert.ok((await blackPixels('otsu')).paper > 1000);
+
+        // Local thresholds follow the lighting
+        const inkPixels = 160 * 3 + 4 * 37;
+        for (const method of ['adaptive-mean', 'sauvola']) {
+            const { ink, paper } = await blackPixels(method);
+            assert.ok(paper < 50 && ink > inkPixels * 0.9, JSON.stringify({ method, ink, paper }));
+        }
+
+        await assert.rejects(
+            converter.convertBuffer(scanPNG, 'scan.png', { traceMode: 'monochrome', thresholdMethod: 'niblack' }),
+            /Unknown threshold method: niblack/
+        );
+    });
+
+    it('should embed photographic regions and trace the rest in hybrid mode', async () => {
+        // A red square on white beside a 64x48 block of random texture
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) % 256;
+        const mixedPNG = await createPatternPNG(128, 64, (x, y) => {
+            if (x >= 64 && y >= 16) return [random(), random(), random(), 255];
+            return x >= 16 && x < 48 && y >= 16 && y < 48 ? [255, 0, 0, 255] : [255, 255, 255, 255];
+        });
+
+        const { svg } = await converter.convertBuffer(mixedPNG, 'mixed.png', { conversionMode: 'hybrid', colorCount: 2 });
+        const images = svg.match(/<image [^>]*>/g);
+        assert.strictEqual(images.length, 1);
+        assert.match(images[0], /x="64" y="16" width="64" height="48" xlink:href="data:image\/jpeg;base64,/);
+        assert.ok(!images[0].includes('clip-path'));
+        assert.match(svg, /<path fill="rgb\(255,0,0\)"/);
+        assert.ok(svg.indexOf('<image') < svg.indexOf('<path'));
+
+        const webp = await converter.convertBuffer(mixedPNG, 'mixed.png', { conversionMode: 'hybrid', imageFormat: 'webp' });
+        assert.match(webp.svg, /xlink:href="data:image\/webp;base64,/);
+
+        // Flat images are traced as they are in trace mode
+        const ringTrace = await converter.convertBuffer(ringPNG, 'ring.png', { colorCount: 2 });
+        const ringHybrid = await converter.convertBuffer(ringPNG, 'ring.png', { conversionMode: 'hybrid', colorCount: 2 });
+        assert.strictEqual(ringHybrid.svg, ringTrace.svg);
+    });
+
+    it('should remove only the background connected to the image edges', async () => {
+        // A black ring around a white hole, on a slightly uneven white background
+        const stickerPNG = await createPatternPNG(40, 40, (x, y) => {
+            const dist = (x + 0.5 - 20) ** 2 + (y + 0.5 - 20) ** 2;
+            if (dist < 6 ** 2) return [255, 255, 255, 255];
+            if (dist < 15 ** 2) return [0, 0, 0, 255];
+            return (x + y) % 3 ? [250, 252, 247, 255] : [255, 255, 255, 255];
+        });
+        const pixelAt = (pixels, x, y) => [...pixels.subarray((y * 40 + x) * 4, (y * 40 + x) * 4 + 4)];
+
+        const { svg } = await converter.convertBuffer(stickerPNG, 'sticker.png', { colorCount: 2, removeBg: 'auto' });
+        const pixels = await rasterizeSVG(svg);
+        assert.strictEqual(pixelAt(pixels, 0, 0)[3], 0);
+        assert.strictEqual(pixelAt(pixels, 39, 20)[3], 0);
+        assert.deepStrictEqual(pixelAt(pixels, 20, 10), [0, 0, 0, 255]);
+        assert.deepStrictEqual(pixelAt(pixels, 20, 20), [255, 255, 255, 255]);
+
+        // Removing white everywhere clears the hole as well
+        const white = await converter.convertBuffer(stickerPNG, 'sticker.png', { colorCount: 2, removeWhiteBg: true });
+        assert.strictEqual(pixelAt(await rasterizeSVG(white.svg), 20, 20)[3], 0);
+
+        // A key color clears what is within the tolerance of it and reaches the edges
+        const tracer = new ImageTracer();
+        const screen = () => Uint8ClampedArray.from({ length: 25 * 4 }, (_, i) => {
+            const x = (i >> 2) % 5;
+            const y = Math.floor((i >> 2) / 5);
+            const border = x === 1 || x === 3 || y === 1 || y === 3;
+            const inside = x > 0 && x < 4 && y > 0 && y < 4;
+            return (inside && border ? [200, 0, 0, 255] : [10, 245, 0, 255])[i % 4];
+        });
+        const alpha = (data) => Array.from({ length: 25 }, (_, p) => data[p * 4 + 3] ? 1 : 0).join('');
+        assert.strictEqual(alpha(tracer.removeBackground(screen(), 5, 5, '#00ff00')), '00000' + '01110'.repeat(3) + '00000');
+        assert.strictEqual(alpha(tracer.removeBackground(screen(), 5, 5, '#00ff00', 5)), '1'.repeat(25));
+        assert.strictEqual(alpha(tracer.removeBackground(screen(), 5, 5, 'auto')), '00000' + '01110'.repeat(3) + '00000');
+
+        // A border that is mostly transparent already has no background to detect
+        const cutout = screen().map((v, i) => {
+            const x = (i >> 2) % 5;
+            const y = Math.floor((i >> 2) / 5);
+            return i % 4 === 3 && (x === 0 || y === 0 || y === 4) ? 0 : v;
+        });
+        assert.strictEqual(alpha(tracer.removeBackground(cutout, 5, 5, 'auto')), alpha(cutout));
+
+        assert.throws(() => tracer.removeBackground(screen(), 5, 5, 'teal'), /Invalid background color: teal/);
+    });
+
+    it('should find the background of tiled images in bounded memory', async () => {
+        // White paper with a black frame in every tile; the frame keeps
+        // the paper inside it
+        const size = 4000;
+        const tileSize = 250;
+        const frame = (x, y) => {
+            const d = Math.max(Math.abs(x - 125), Math.abs(y - 125));
+            return d >= 60 && d < 70;
+        };
+        const data = new Uint8ClampedArray(tileSize * tileSize * 4);
+        for (let y = 0; y < tileSize; y++) {
+            for (let x = 0; x < tileSize; x++) {
+                data.set(frame(x, y) ? [0, 0, 0, 255] : [255, 255, 255, 255], (y * tileSize + x) * 4);
+            }
+        }
+
+        const tracer = new ImageTracer();
+        const before = process.memoryUsage().arrayBuffers;
+        let peak = 0;
+        const state = tracer.createBackgroundRuns(size, size, { r: 255, g: 255, b: 255 }, 20);
+        for (let y = 0; y < size; y += tileSize) {
+            for (let x = 0; x < size; x += tileSize) {
+                tracer.addBackgroundTile(state, data, { x, y, width: tileSize, height: tileSize });
+                peak = Math.max(peak, process.memoryUsage().arrayBuffers - before);
+            }
+        }
+        const runs = tracer.finishBackgroundRuns(state);
+
+        // A mask of the whole image alone would take 16 MB
+        assert.ok(peak < 8 * 1024 * 1024, `${peak} bytes`);
+        const tile = { x: 1000, y: 1000, width: tileSize, height: tileSize };
+        const cleared = tracer.clearBackground(data.slice(), runs, tile);
+        assert.strictEqual(cleared[3], 0);
+        assert.strictEqual(cleared[(125 * tileSize + 125) * 4 + 3], 255);
+        assert.strictEqual(cleared[(125 * tileSize + 60) * 4 + 3], 255);
+
+        // Runs that would not fit in the memory limit are rejected
+        const stripesPNG = await createPatternPNG(300, 300, (x) => x % 2 ? [255, 255, 255, 255] : [0, 0, 0, 255]);
+        await assert.rejects(
+            converter.convertBuffer(stripesPNG, 'stripes.png', { colorCount: 2, removeBg: '#ffffff', memoryLimit: 1 }),
+            /Background removal found more than 8192 background runs, more than fit in the memory limit/
+        );
+    });
+
+    it('should parse hex lists, JSON and GIMP palettes', () => {
+        const expected = [{ r: 17, g: 34, b: 51, hex: '#112233' }, { r: 255, g: 204, b: 0, hex: '#ffcc00' }];
+        assert.deepStrictEqual(parsePalette('#112233, #fc0'), expected);
+        assert.deepStrictEqual(parsePalette('{"colors": ["#112233", {"r": 255, "g": 204, "b": 0}]}'), expected);
+        assert.deepStrictEqual(
+            parsePalette('GIMP Palette\nName: Brand\nColumns: 2\n#\n 17  34  51\tNavy\n255 204   0\tGold\n'),
+            expected
+        );
+        assert.throws(() => parsePalette('#12345'), /Invalid palette color/);
+    });
+});
+
 describe('CLI Integration', () => {
     it('should have executable permissions', async () => {
         const cliPath = path.join(__dirname, '..', 'bin', 'cli.js');
         const stats = await fs.stat(cliPath);
         assert.ok(stats.isFile());
     });
+
+    it('should trace for --max-size and --min-ssim unless another mode is given', async () => {
+        const cliPath = path.join(__dirname, '..', 'bin', 'cli.js');
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'atsvg-'));
+        const input = path.join(dir, 'disc.png');
+        const output = path.join(dir, 'disc.svg');
+        await fs.writeFile(input, await createPatternPNG(40, 40, discColor));
+
+        try {
+            await promisify(execFile)(process.execPath, [cliPath, 'convert', input, '-o', output, '--min-ssim', '0.5', '--silent']);
+            const svg = await fs.readFile(output, 'utf-8');
+            assert.match(svg, /<path/);
+            assert.doesNotMatch(svg, /<image/);
+
+            await assert.rejects(
+                promisify(execFile)(process.execPath, [cliPath, 'convert', input, '-o', output, '-m', 'embed', '--max-size', '20kb']),
+                (error) => error.code === 1 && /--max-size and --min-ssim need -m trace or -m auto, not -m embed/.test(error.stderr)
+            );
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
 });